@@ -0,0 +1,241 @@
+// Stroke Order Demonstration
+// Animates reference stroke medians on an overlay layer above the practice canvas
+
+class StrokeAnimator {
+    constructor(layer) {
+        this.layer = layer;
+        this.ctx = layer.getContext('2d');
+        
+        const ratio = window.devicePixelRatio || 1;
+        this.width = layer.width / ratio;
+        this.height = layer.height / ratio;
+        
+        this.medians = [];
+        this.currentStroke = 0;
+        this.progress = 0; // 0-1 along the current stroke
+        this.speed = 1;
+        this.isPlaying = false;
+        this.frameId = null;
+        this.lastFrameTime = null;
+        this.onStateChange = null; // Callback receiving the animator state
+        
+        // Drawing speed in reference units (1024 box) per millisecond at 1x
+        this.baseSpeed = 0.9;
+        this.strokePause = 250; // ms between strokes
+        this.pauseRemaining = 0;
+    }
+    
+    load(medians) {
+        this.stop();
+        this.medians = medians || [];
+        this.reset();
+    }
+    
+    reset() {
+        this.pause();
+        this.currentStroke = 0;
+        this.progress = 0;
+        this.pauseRemaining = 0;
+        this.render();
+        this.notify();
+    }
+    
+    play() {
+        if (this.medians.length === 0) return;
+        
+        // Start over once the demonstration has finished
+        if (this.isComplete()) {
+            this.currentStroke = 0;
+            this.progress = 0;
+        }
+        
+        this.isPlaying = true;
+        this.lastFrameTime = null;
+        this.frameId = requestAnimationFrame((time) => this.tick(time));
+        this.notify();
+    }
+    
+    pause() {
+        this.isPlaying = false;
+        if (this.frameId) {
+            cancelAnimationFrame(this.frameId);
+            this.frameId = null;
+        }
+        this.notify();
+    }
+    
+    stop() {
+        this.pause();
+        this.clear();
+    }
+    
+    step() {
+        // Finish the current stroke, or draw the next one in full
+        this.pause();
+        if (this.isComplete()) return;
+        
+        this.pauseRemaining = 0;
+        this.advance();
+        this.render();
+        this.notify();
+    }
+    
+    setSpeed(speed) {
+        this.speed = Math.max(0.25, Math.min(4, speed));
+        console.log('⏩ Demo speed set to:', this.speed);
+    }
+    
+    isComplete() {
+        return this.currentStroke >= this.medians.length;
+    }
+    
+    tick(time) {
+        if (!this.isPlaying) return;
+        
+        const elapsed = this.lastFrameTime === null ? 0 : time - this.lastFrameTime;
+        this.lastFrameTime = time;
+        
+        if (this.pauseRemaining > 0) {
+            this.pauseRemaining -= elapsed * this.speed;
+        } else {
+            const length = this.strokeLength(this.medians[this.currentStroke]) || 1;
+            this.progress += (elapsed * this.baseSpeed * this.speed) / length;
+            
+            if (this.progress >= 1) {
+                this.progress = 1;
+                this.advance();
+                this.pauseRemaining = this.strokePause;
+            }
+        }
+        
+        this.render();
+        
+        if (this.isComplete()) {
+            this.isPlaying = false;
+            this.frameId = null;
+            this.notify();
+            return;
+        }
+        
+        this.frameId = requestAnimationFrame((next) => this.tick(next));
+    }
+    
+    advance() {
+        this.currentStroke++;
+        this.progress = 0;
+    }
+    
+    render() {
+        this.clear();
+        
+        for (let i = 0; i < this.medians.length; i++) {
+            if (i < this.currentStroke) {
+                this.drawStroke(this.medians[i], 1, 'rgba(33, 150, 243, 0.35)');
+                this.drawStrokeNumber(this.medians[i], i + 1);
+            } else if (i === this.currentStroke && this.progress > 0) {
+                this.drawStroke(this.medians[i], this.progress, 'rgba(244, 67, 54, 0.6)');
+            }
+        }
+    }
+    
+    drawStroke(median, fraction, color) {
+        const points = this.partialPath(median.map(p => this.toLayer(p)), fraction);
+        if (points.length === 0) return;
+        
+        const ctx = this.ctx;
+        ctx.save();
+        ctx.strokeStyle = color;
+        ctx.lineWidth = this.width * 0.05;
+        ctx.lineCap = 'round';
+        ctx.lineJoin = 'round';
+        ctx.beginPath();
+        ctx.moveTo(points[0][0], points[0][1]);
+        points.slice(1).forEach(p => ctx.lineTo(p[0], p[1]));
+        if (points.length === 1) {
+            ctx.lineTo(points[0][0], points[0][1]);
+        }
+        ctx.stroke();
+        ctx.restore();
+    }
+    
+    drawStrokeNumber(median, number) {
+        const [x, y] = this.toLayer(median[0]);
+        const ctx = this.ctx;
+        
+        ctx.save();
+        ctx.fillStyle = 'rgba(33, 150, 243, 0.9)';
+        ctx.font = `bold ${Math.round(this.width * 0.03)}px sans-serif`;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(String(number), x, y);
+        ctx.restore();
+    }
+    
+    partialPath(points, fraction) {
+        if (fraction >= 1 || points.length < 2) return points;
+        
+        const total = this.pathLength(points);
+        let remaining = total * fraction;
+        const result = [points[0]];
+        
+        for (let i = 1; i < points.length; i++) {
+            const [ax, ay] = points[i - 1];
+            const [bx, by] = points[i];
+            const segment = Math.hypot(bx - ax, by - ay);
+            
+            if (segment >= remaining) {
+                const ratio = segment > 0 ? remaining / segment : 0;
+                result.push([ax + (bx - ax) * ratio, ay + (by - ay) * ratio]);
+                break;
+            }
+            
+            result.push(points[i]);
+            remaining -= segment;
+        }
+        
+        return result;
+    }
+    
+    strokeLength(median) {
+        return median ? this.pathLength(median) : 0;
+    }
+    
+    pathLength(points) {
+        let length = 0;
+        for (let i = 1; i < points.length; i++) {
+            length += Math.hypot(points[i][0] - points[i - 1][0], points[i][1] - points[i - 1][1]);
+        }
+        return length;
+    }
+    
+    toLayer(point) {
+        // Reference box (y up, baseline at 900) to layer pixels
+        return [
+            (point[0] / 1024) * this.width,
+            ((900 - point[1]) / 1024) * this.height
+        ];
+    }
+    
+    clear() {
+        this.ctx.clearRect(0, 0, this.width, this.height);
+    }
+    
+    notify() {
+        if (typeof this.onStateChange === 'function') {
+            this.onStateChange({
+                isPlaying: this.isPlaying,
+                currentStroke: Math.min(this.currentStroke, this.medians.length),
+                totalStrokes: this.medians.length,
+                speed: this.speed
+            });
+        }
+    }
+    
+    destroy() {
+        this.stop();
+        this.layer.remove();
+    }
+}
+
+// Export for global use
+window.StrokeAnimator = StrokeAnimator;
\ No newline at end of file
@@ -5,14 +5,17 @@
 class ChineseWritingApp {
     constructor() {
         this.characters = [];
-        this.currentIndex = 0;
-        this.session = {
-            startTime: Date.now(),
-            results: new Map(),
-            duration: 0
-        };
+        this.session = null; // PracticeSession
+        this.sessionOptions = {};
         this.canvas = null;
         this.storage = null;
+        this.animator = null;
+        this.guides = null;
+        this.demoMode = false;
+        this.saveTimer = null;
+        this.saveDelay = 1500; // ms of drawing inactivity before the session is written
+        this.dueReview = false; // Characters came from today's review schedule rather than the URL
+        this.saveFailed = false;
         
         this.init();
     }
@@ -23,6 +26,11 @@ class ChineseWritingApp {
             
             // Initialize storage
             this.storage = new PracticeStorage();
+            await this.storage.init();
+            if (this.storage.initError) {
+                // Data that failed to upgrade is left as it was; Settings can restore a backup
+                alert(`Saved data could not be opened (${this.storage.initError.message}). Practice won't be saved until a backup is restored in Settings.`);
+            }
             
             // Parse URL parameters for character input
             this.parseURLParameters();
@@ -32,6 +40,17 @@ class ChineseWritingApp {
             
             // Initialize canvas
             this.canvas = new DrawingCanvas('practice-canvas');
+            this.canvas.onStrokeCaptured = (stroke) => this.recordStroke(stroke);
+            this.canvas.onChange = () => this.saveDrawing();
+            
+            // Stroke order demonstration layer above the ink
+            this.animator = new StrokeAnimator(this.canvas.createLayer('demo'));
+            this.animator.onStateChange = (state) => this.updateDemoControls(state);
+            this.animator.layer.classList.add('hidden');
+            
+            // Grid and tracing glyph beneath the ink
+            this.guides = new PracticeGuides(this.canvas.createLayer('guides', { below: true }));
+            this.applyGuideSettings(this.storage.getSettings());
             
             // Initialize UI components
             this.initializeUI();
@@ -39,8 +58,15 @@ class ChineseWritingApp {
             // Set up event listeners
             this.setupEventListeners();
             
-            // Load first character
-            this.loadCharacter(0);
+            // Offer to pick up an unfinished session, otherwise start at the first character
+            const resumed = await this.offerResume();
+            this.loadCharacter(resumed ? this.session.currentIndex : 0);
+            
+            // Save on reload or app switch so elapsed time isn't lost
+            window.addEventListener('pagehide', () => this.saveProgress());
+            document.addEventListener('visibilitychange', () => {
+                if (document.visibilityState === 'hidden') this.saveProgress();
+            });
             
             // Hide loading screen
             this.hideLoadingScreen();
@@ -52,6 +78,78 @@ class ChineseWritingApp {
         }
     }
     
+    get currentIndex() {
+        return this.session ? this.session.currentIndex : 0;
+    }
+    
+    async offerResume() {
+        const saved = await this.storage.findResumableSession(this.characters, this.session.date, {
+            dueReview: this.dueReview
+        });
+        if (!saved) return false;
+        
+        const hasProgress = Array.from(saved.results.values())
+            .some(r => r.attempts > 0 || r.drawing || (r.strokes && r.strokes.length > 0));
+        if (!hasProgress) return false;
+        
+        const savedAt = new Date(saved.savedAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+        if (!confirm(`Resume your unfinished session from ${savedAt}?`)) {
+            return false;
+        }
+        
+        await this.restoreSession(saved);
+        return true;
+    }
+    
+    async restoreSession(saved) {
+        this.session.restore(saved);
+        this.characters = this.session.characters;
+        
+        // Characters added during the saved session or no longer due aren't in the current list
+        const unloaded = this.characters.filter(char => !this.characterData[char]);
+        if (unloaded.length > 0) {
+            Object.assign(this.characterData, await CharacterManager.loadCharacterData(unloaded));
+        }
+        
+        this.populateCharacterSelector();
+        this.updateProgressBar();
+        
+        console.log(`♻️ Resumed session ${saved.id}`);
+    }
+    
+    async saveProgress() {
+        // Writes now, replacing any save still waiting on scheduleSave()
+        clearTimeout(this.saveTimer);
+        this.saveTimer = null;
+        
+        // saveSession() reports failure by returning false; alert once until a save succeeds again
+        const saved = await this.storage.saveSession(this.session);
+        if (saved) {
+            this.saveFailed = false;
+        } else if (this.storage.available && !this.saveFailed) {
+            this.saveFailed = true;
+            this.reportStorageError(new Error('the browser refused to store the session'));
+        }
+        return saved;
+    }
+    
+    scheduleSave() {
+        // Each save rewrites the whole session, so a burst of strokes becomes one write;
+        // pagehide and visibilitychange flush it through saveProgress()
+        clearTimeout(this.saveTimer);
+        this.saveTimer = setTimeout(() => this.saveProgress(), this.saveDelay);
+    }
+    
+    saveDrawing() {
+        const char = this.characters[this.currentIndex];
+        const result = this.session.results.get(char);
+        if (!result) return;
+        
+        result.drawing = this.canvas.getDrawing();
+        this.session.markRemovedStrokes(char, this.canvas.getStrokeIds());
+        this.scheduleSave();
+    }
+    
     parseURLParameters() {
         const params = new URLSearchParams(window.location.search);
         
@@ -63,33 +161,88 @@ class ChineseWritingApp {
         }
         
         // Get session info
-        this.session.date = params.get('session') || new Date().toISOString().split('T')[0];
-        this.session.type = params.get('type') || 'character-practice';
-        this.session.level = params.get('level') || 'hsk-3';
+        const settings = this.storage.getSettings();
+        this.sessionOptions = {
+            date: params.get('session') || new Date().toISOString().split('T')[0],
+            sessionType: params.get('type') || 'character-practice',
+            level: params.get('level') || 'hsk-3',
+            // Practice mode: 'copy' shows the character, 'recall' hides it until reveal
+            mode: this.resolvePracticeMode(params.get('mode')),
+            // Script: 'simp' or 'trad'; the character list is converted to match
+            script: this.resolveScript(params.get('script')),
+            shuffleCharacters: this.resolveFlag(params.get('shuffle'), settings.shuffleCharacters),
+            autoProgress: this.resolveFlag(params.get('auto'), settings.autoProgress)
+        };
+        
+        console.log('📅 Session info:', this.sessionOptions);
+    }
+    
+    resolveFlag(urlValue, settingValue) {
+        if (urlValue !== null) {
+            return urlValue === '1' || urlValue === 'true';
+        }
+        return !!settingValue;
+    }
+    
+    resolvePracticeMode(urlMode) {
+        if (urlMode === 'recall' || urlMode === 'copy') {
+            return urlMode;
+        }
+        
+        return this.storage.getSettings().practiceMode === 'recall' ? 'recall' : 'copy';
+    }
+    
+    resolveScript(urlScript) {
+        if (urlScript === 'trad' || urlScript === 'simp') {
+            return urlScript;
+        }
         
-        console.log('📅 Session info:', this.session);
+        return this.storage.getSettings().script === 'trad' ? 'trad' : 'simp';
     }
     
     async initializeCharacters() {
-        // If no characters from URL, use default test characters
+        // Without a URL list, start with the characters due for review today
+        if (this.characters.length === 0) {
+            const due = await this.storage.getDueCharacters();
+            if (due.length > 0) {
+                this.characters = due;
+                this.sessionOptions.sessionType = 'review';
+                this.dueReview = true;
+                console.log(`📆 Using ${due.length} characters due for review`);
+            }
+        }
+        
+        // If nothing is due either, use default test characters
         if (this.characters.length === 0) {
             this.characters = ['停', '锁', '偷', '担', '台', '演', '唱', '歌'];
             console.log('🎯 Using default test characters');
         }
         
         // Initialize character data with metadata
+        // A dictionary file imported by the user overrides the bundled data;
+        // an imported CC-CEDICT covers everything else
+        this.registerUserDictionary(await this.storage.getUserDictionary());
+        await this.registerCedict();
+        
+        // Show every character in the chosen script
+        this.characters = await CharacterManager.convertCharacters(this.characters, this.sessionOptions.script);
         this.characterData = await CharacterManager.loadCharacterData(this.characters);
+        await CharacterManager.loadStrokeData();
+        await CharacterManager.loadComponentData();
         
-        // Initialize practice results for each character
-        this.characters.forEach(char => {
-            this.session.results.set(char, {
-                character: char,
-                status: 'not-practiced', // 'mastered', 'needs-work', 'not-practiced'
-                attempts: 0,
-                timeSpent: 0,
-                lastPracticed: null
-            });
+        // Every session runs through PracticeSession (results, timing, order)
+        this.session = new PracticeSession(this.characters, {
+            ...this.sessionOptions,
+            id: this.storage.generateSessionId()
         });
+        this.characters = this.session.characters;
+        this.session.characterData = this.characterData;
+        
+        // Start ledger entries for new characters, and carry over known review dates from the schedule
+        await this.storage.markSeen(this.characters);
+        await Promise.all(Array.from(this.session.results, async ([char, result]) => {
+            result.nextReview = (await this.storage.getScheduleCard(char))?.dueDate || null;
+        }));
         
         console.log(`📚 Initialized ${this.characters.length} characters with metadata`);
     }
@@ -112,7 +265,13 @@ class ChineseWritingApp {
         // Character navigation
         document.getElementById('prev-char')?.addEventListener('click', () => this.previousCharacter());
         document.getElementById('next-char')?.addEventListener('click', () => this.nextCharacter());
-        document.getElementById('next-character-btn')?.addEventListener('click', () => this.nextCharacter());
+        document.getElementById('next-character-btn')?.addEventListener('click', () => {
+            if (this.currentIndex === this.characters.length - 1) {
+                this.finishSession();
+            } else {
+                this.nextCharacter();
+            }
+        });
         
         // Status buttons
         document.getElementById('status-mastered')?.addEventListener('click', () => this.setCharacterStatus('mastered'));
@@ -120,18 +279,126 @@ class ChineseWritingApp {
         document.getElementById('status-not-practiced')?.addEventListener('click', () => this.setCharacterStatus('not-practiced'));
         
         // Canvas controls
-        document.getElementById('clear-btn')?.addEventListener('click', () => this.canvas.clear());
+        document.getElementById('clear-btn')?.addEventListener('click', () => this.clearCanvas());
         document.getElementById('undo-btn')?.addEventListener('click', () => this.canvas.undo());
         document.getElementById('redo-btn')?.addEventListener('click', () => this.canvas.redo());
+        document.getElementById('erase-btn')?.addEventListener('click', () => this.toggleEraser());
+        document.getElementById('check-btn')?.addEventListener('click', () => this.checkWriting());
+        
+        // Practice grid and tracing
+        document.getElementById('grid-select')?.addEventListener('change', (e) => {
+            this.guides.setGrid(e.target.value);
+            this.storage.saveSettings({ gridType: this.guides.gridType });
+        });
+        document.getElementById('trace-btn')?.addEventListener('click', () => this.toggleTraceMode());
+        
+        // Stroke order demonstration
+        document.getElementById('demo-btn')?.addEventListener('click', () => this.toggleDemoMode());
+        document.getElementById('demo-play')?.addEventListener('click', () => {
+            this.animator.isPlaying ? this.animator.pause() : this.animator.play();
+        });
+        document.getElementById('demo-step')?.addEventListener('click', () => this.animator.step());
+        document.getElementById('demo-restart')?.addEventListener('click', () => this.animator.reset());
+        document.getElementById('demo-speed')?.addEventListener('change', (e) => {
+            this.animator.setSpeed(parseFloat(e.target.value));
+        });
         
         // Brush size
         document.getElementById('brush-slider')?.addEventListener('input', (e) => {
             this.canvas.setBrushSize(parseInt(e.target.value));
         });
         
+        // Recall mode
+        document.getElementById('reveal-btn')?.addEventListener('click', () => this.revealCharacter());
+        document.getElementById('reveal-mastered')?.addEventListener('click', () => this.gradeReveal('mastered'));
+        document.getElementById('reveal-needs-work')?.addEventListener('click', () => this.gradeReveal('needs-work'));
+        document.getElementById('close-reveal')?.addEventListener('click', () => this.hideModal('reveal-modal'));
+        
+        // Settings
+        document.getElementById('settings-btn')?.addEventListener('click', () => this.showSettingsModal());
+        
+        // Character search
+        document.getElementById('search-btn')?.addEventListener('click', () => this.showSearchModal());
+        document.getElementById('dashboard-btn')?.addEventListener('click', () => this.showDashboard());
+        document.getElementById('history-btn')?.addEventListener('click', () => this.showHistory());
+        document.getElementById('close-history')?.addEventListener('click', () => this.hideModal('history-modal'));
+        document.getElementById('close-dashboard')?.addEventListener('click', () => this.hideModal('dashboard-modal'));
+        document.getElementById('close-search')?.addEventListener('click', () => this.hideModal('search-modal'));
+        ['search-input', 'search-min-strokes', 'search-max-strokes'].forEach(id => {
+            document.getElementById(id)?.addEventListener('input', () => this.scheduleSearch());
+        });
+        document.getElementById('search-results')?.addEventListener('click', (e) => {
+            const button = e.target.closest('.search-add');
+            if (button) this.addCharacterToSession(button.dataset.character).then(() => this.runSearch());
+        });
+        
+        // Component explorer
+        document.getElementById('explore-btn')?.addEventListener('click', () => this.showExplorer());
+        document.getElementById('close-explorer')?.addEventListener('click', () => this.hideModal('explorer-modal'));
+        
+        // Past attempts gallery
+        document.getElementById('gallery-btn')?.addEventListener('click', () => this.showGallery());
+        document.getElementById('close-gallery')?.addEventListener('click', () => this.hideModal('gallery-modal'));
+        document.getElementById('explorer-body')?.addEventListener('click', (e) => {
+            const add = e.target.closest('.explorer-add');
+            const node = e.target.closest('.component-node');
+            if (add) {
+                this.addCharacterToSession(add.dataset.character).then(() => this.renderExplorer());
+            } else if (node) {
+                this.showExplorer(node.dataset.character);
+            } else if (e.target.closest('.explorer-back')) {
+                this.showExplorer();
+            }
+        });
+        document.getElementById('close-settings')?.addEventListener('click', () => this.hideModal('settings-modal'));
+        document.getElementById('setting-practice-mode')?.addEventListener('change', (e) => {
+            this.setPracticeMode(e.target.value);
+        });
+        document.getElementById('setting-script')?.addEventListener('change', (e) => {
+            this.storage.saveSettings({ script: e.target.value });
+        });
+        document.getElementById('setting-shuffle')?.addEventListener('change', (e) => {
+            this.storage.saveSettings({ shuffleCharacters: e.target.checked });
+        });
+        document.getElementById('setting-dictionary-file')?.addEventListener('change', (e) => {
+            this.importDictionary(e.target.files[0]);
+            e.target.value = '';
+        });
+        document.getElementById('remove-dictionary')?.addEventListener('click', () => this.removeDictionary());
+        document.getElementById('setting-cedict-file')?.addEventListener('change', (e) => {
+            this.importCedict(e.target.files[0]);
+            e.target.value = '';
+        });
+        document.getElementById('remove-cedict')?.addEventListener('click', () => this.removeCedict());
+        document.getElementById('export-data')?.addEventListener('click', () => this.exportAllData());
+        document.getElementById('setting-import-data')?.addEventListener('change', (e) => {
+            this.importAllData(e.target.files[0]);
+            e.target.value = '';
+        });
+        document.getElementById('restore-backup')?.addEventListener('click', () => {
+            this.restoreBackup(document.getElementById('setting-backup').value);
+        });
+        document.getElementById('setting-auto-progress')?.addEventListener('change', (e) => {
+            this.session.options.autoProgress = e.target.checked;
+            this.storage.saveSettings({ autoProgress: e.target.checked });
+        });
+        
+        // Session summary
+        document.getElementById('close-summary')?.addEventListener('click', () => this.hideModal('summary-modal'));
+        document.getElementById('summary-export')?.addEventListener('click', () => {
+            this.hideModal('summary-modal');
+            this.showExportModal();
+        });
+        
         // Export functionality
         document.getElementById('export-btn')?.addEventListener('click', () => this.showExportModal());
         document.getElementById('copy-results')?.addEventListener('click', () => this.copyResults());
+        document.getElementById('download-results')?.addEventListener('click', () => this.downloadResults());
+        document.getElementById('share-results')?.addEventListener('click', () => this.shareResults());
+        document.getElementById('export-format')?.addEventListener('change', (e) => {
+            this.storage.saveSettings({ exportFormat: e.target.value });
+            this.exportRender = this.renderExport();
+        });
         document.getElementById('close-modal')?.addEventListener('click', () => this.hideExportModal());
         
         // Character selector clicks
@@ -150,50 +417,1057 @@ class ChineseWritingApp {
     }
     
     loadCharacter(index) {
-        if (index < 0 || index >= this.characters.length) return;
+        if (!this.session.goToCharacter(index)) return;
         
-        this.currentIndex = index;
         const char = this.characters[index];
         const data = this.characterData[char];
         const result = this.session.results.get(char);
         
-        // Update character display
-        document.getElementById('display-character').textContent = char;
+        // Update character display (hidden until reveal in recall mode)
+        const hidden = this.isCharacterHidden(result);
+        const glyphs = [...char];
+        const display = document.getElementById('display-character');
+        display.textContent = hidden ? '？'.repeat(glyphs.length) : char;
+        display.classList.toggle('concealed', hidden);
+        display.classList.toggle('word', glyphs.length > 1);
         document.getElementById('character-pinyin').textContent = data?.pinyin || '';
         document.getElementById('character-meaning').textContent = data?.meaning || '';
         document.getElementById('character-strokes').textContent = data?.strokes ? `${data.strokes} strokes` : '';
+        document.getElementById('character-variants').textContent = hidden ? '' : this.describeVariants(char, data);
+        this.renderExamples(char, data, hidden);
+        document.getElementById('reveal-btn')?.classList.toggle('hidden', !hidden);
+        document.getElementById('explore-btn')?.classList.toggle('hidden', hidden);
+        document.getElementById('gallery-btn')?.classList.toggle('hidden', hidden);
         
         // Update status buttons
         this.updateStatusButtons(result.status);
+        this.hideWritingFeedback();
         
         // Update character selector
         this.updateCharacterSelector();
         
-        // Clear canvas for new character
-        this.canvas.clear();
+        // Restore this character's drawing, or start with a blank canvas
+        this.canvas.loadDrawing(result.drawing, result.strokes);
+        this.guides.setCharacter(hidden ? '' : char, glyphs.length);
+        this.animator.load(this.getReferenceMedians(char));
+        this.updateTraceProgress();
+        document.getElementById('demo-btn').disabled = hidden;
+        if (hidden && this.demoMode) {
+            this.toggleDemoMode();
+        }
         
         // Update navigation buttons
         this.updateNavigationButtons();
+        this.updateCharacterCounter();
         
         console.log(`📝 Loaded character: ${char} (${index + 1}/${this.characters.length})`);
     }
     
-    setCharacterStatus(status) {
-        const char = this.characters[this.currentIndex];
+    async setCharacterStatus(status, feedback = null) {
+        const index = this.currentIndex;
+        const char = this.characters[index];
         const result = this.session.results.get(char);
+        const wasCompleted = this.session.completed;
+        
+        // Self-assessed attempts still get feedback on how the ink is formed
+        if (!feedback) {
+            const shape = this.analyzeShape(char, this.canvas.getStrokes());
+            if (shape) {
+                feedback = { source: 'self-assessment', shape };
+                this.showWritingFeedback(this.describeShape(shape), null);
+            }
+        }
         
-        result.status = status;
-        result.attempts++;
-        result.lastPracticed = Date.now();
+        this.session.setCharacterStatus(char, status, feedback);
+        this.archiveAttempt(char, result, feedback);
         
         this.updateStatusButtons(status);
         this.updateCharacterSelector();
         this.updateProgressBar();
         
+        // Reschedule the character's next review; callers don't wait, so failures are reported here
+        try {
+            await this.scheduleReview(char, result);
+            await this.storage.recordStatus(char, status, {
+                sessionId: this.session.id,
+                key: AttemptArchive.getKey(this.canvas.getStrokes())
+            });
+        } catch (error) {
+            this.reportStorageError(error);
+        }
+        
         // Auto-save progress
-        this.storage.saveSession(this.session);
+        this.saveProgress();
         
         console.log(`✅ Set ${char} status to: ${status}`);
+        
+        // PracticeSession may have moved on by itself (auto-progress)
+        if (this.session.completed && !wasCompleted) {
+            this.showSessionSummary(this.session.completeSession());
+        } else if (this.session.currentIndex !== index) {
+            this.loadCharacter(this.session.currentIndex);
+        }
+    }
+    
+    reportStorageError(error) {
+        // Storage failures (full quota, private browsing) would otherwise only reach the console
+        console.error('Failed to save progress:', error);
+        alert(`Your progress could not be saved: ${error.message}`);
+    }
+    
+    archiveAttempt(char, result, feedback) {
+        // Keep the graded drawing for the character's gallery
+        const strokes = this.canvas.getStrokes();
+        if (strokes.length === 0) return;
+        
+        this.storage.saveAttempt(AttemptArchive.create(strokes, {
+            character: char,
+            sessionId: this.session.id,
+            status: result.status,
+            mode: result.mode,
+            score: feedback?.score,
+            shapeScore: feedback?.shape?.score
+        }));
+    }
+    
+    async showGallery() {
+        const char = this.characters[this.currentIndex];
+        const attempts = await this.storage.getAttempts(char);
+        const body = document.getElementById('gallery-body');
+        if (!body) return;
+        
+        document.getElementById('gallery-title').textContent = `Past Attempts: ${char}`;
+        body.innerHTML = '';
+        
+        if (attempts.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'gallery-empty';
+            empty.textContent = 'No saved attempts yet. Drawings are kept each time you mark or check one.';
+            body.appendChild(empty);
+        } else {
+            const summary = document.createElement('div');
+            summary.className = 'gallery-summary';
+            summary.textContent = `${attempts.length} attempt${attempts.length === 1 ? '' : 's'} since ${new Date(attempts[0].date).toLocaleDateString()}`;
+            body.appendChild(summary);
+            
+            // Timeline from the first attempt to the latest, one column per day
+            const timeline = document.createElement('div');
+            timeline.className = 'gallery-timeline';
+            AttemptArchive.groupByDay(attempts).forEach((dayAttempts, day) => {
+                const column = document.createElement('div');
+                column.className = 'gallery-day';
+                
+                const label = document.createElement('div');
+                label.className = 'gallery-date';
+                label.textContent = day;
+                column.appendChild(label);
+                
+                dayAttempts.forEach(attempt => {
+                    const item = document.createElement('div');
+                    item.className = `gallery-item ${attempt.status}`;
+                    item.innerHTML = AttemptArchive.toSVG(attempt, 96);
+                    
+                    const caption = document.createElement('div');
+                    caption.className = 'gallery-caption';
+                    caption.textContent = [
+                        ResultsExporter.statusIcon(attempt.status),
+                        new Date(attempt.date).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' }),
+                        attempt.score !== null ? `${attempt.score}%` : '',
+                        attempt.character !== char ? attempt.character : ''
+                    ].filter(Boolean).join(' ');
+                    item.appendChild(caption);
+                    
+                    column.appendChild(item);
+                });
+                
+                timeline.appendChild(column);
+            });
+            body.appendChild(timeline);
+            
+            // Open on the latest attempts
+            requestAnimationFrame(() => {
+                timeline.scrollLeft = timeline.scrollWidth;
+            });
+        }
+        
+        document.getElementById('gallery-modal')?.classList.add('active');
+    }
+    
+    async showDashboard() {
+        const body = document.getElementById('dashboard-body');
+        if (!body) return;
+        
+        const today = new Date();
+        const since = ProgressDashboard.addDays(today, -ProgressDashboard.HEATMAP_WEEKS * 7);
+        const [statistics, ledger, sessions] = await Promise.all([
+            this.storage.getStatistics(),
+            this.storage.getLedger(),
+            this.storage.getSessionsByDate(ReviewScheduler.formatDate(since), ReviewScheduler.formatDate(today))
+        ]);
+        body.innerHTML = '';
+        
+        if (!statistics || statistics.totalAttempts === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'dashboard-empty';
+            empty.textContent = 'No progress yet. Mark or check a character to start your history.';
+            body.appendChild(empty);
+            document.getElementById('dashboard-modal')?.classList.add('active');
+            return;
+        }
+        
+        const activity = ProgressDashboard.getActivity(ledger, sessions);
+        const streaks = ProgressDashboard.getStreaks(activity, today);
+        
+        const tiles = document.createElement('div');
+        tiles.className = 'summary-stats';
+        this.renderStatTiles(tiles, [
+            ['Current streak', `${streaks.current} day${streaks.current === 1 ? '' : 's'}`],
+            ['Best streak', `${streaks.best} day${streaks.best === 1 ? '' : 's'}`],
+            ['Practiced', `${statistics.totalCharacters}`],
+            ['Mastered', `${statistics.charactersMastered}`],
+            ['Sessions', `${statistics.totalSessions}`],
+            ['Time practiced', `${Math.round(statistics.totalPracticeTime / 60000)} min`]
+        ]);
+        body.appendChild(tiles);
+        
+        const addSection = (title, svg) => {
+            const heading = document.createElement('h3');
+            heading.className = 'dashboard-heading';
+            heading.textContent = title;
+            const chart = document.createElement('div');
+            chart.className = 'dashboard-chart';
+            chart.innerHTML = svg;
+            body.append(heading, chart);
+        };
+        
+        addSection('Daily practice', ProgressDashboard.renderHeatmap(activity, today));
+        
+        const curve = ProgressDashboard.getMasteryCurve(ledger);
+        if (curve.length > 0) {
+            addSection('Characters mastered', ProgressDashboard.renderLineChart(curve, today));
+        }
+        
+        const weeks = ProgressDashboard.getWeeklyTime(activity, today);
+        addSection('Minutes per week', ProgressDashboard.renderBarChart(weeks.map((week, i) => ({
+            label: i % 2 === (weeks.length - 1) % 2 ? week.week.slice(5).replace('-', '/') : '',
+            value: week.minutes,
+            title: `Week of ${week.week}: ${week.minutes} min`
+        }))));
+        
+        // Single characters only; words are counted through the characters they contain
+        const characters = ledger.filter(entry => entry.attempts > 0 && MasteryLedger.isCharacter(entry));
+        const practiced = characters.map(entry => entry.character);
+        const mastered = characters
+            .filter(entry => ['mastered', 'retained'].includes(MasteryLedger.getLevel(entry)))
+            .map(entry => entry.character);
+        addSection('By HSK level (mastered / practiced)', ProgressDashboard.renderLevelBars(
+            ProgressDashboard.getHSKBreakdown(practiced, mastered)));
+        
+        document.getElementById('dashboard-modal')?.classList.add('active');
+    }
+    
+    isCharacterHidden(result) {
+        return result?.mode === 'recall' && !result.revealed;
+    }
+    
+    describeVariants(char, data) {
+        // Traditional/simplified counterpart, when the dictionary knows one
+        if (data?.traditional && data.traditional !== char) {
+            return `Traditional: ${data.traditional}`;
+        }
+        if (data?.simplified && data.simplified !== char) {
+            return `Simplified: ${data.simplified}`;
+        }
+        return '';
+    }
+    
+    renderExamples(char, data, hidden) {
+        const container = document.getElementById('character-examples');
+        if (!container) return;
+        
+        // Words list their characters instead of example words
+        const glyphs = [...char];
+        const lines = glyphs.length > 1
+            ? glyphs.map(c => {
+                const part = this.characterData[c];
+                return `${c} (${part?.pinyin || ''}) - ${part?.meaning || ''}`;
+            })
+            : (data?.examples || []).map(example => `${example.chinese} (${example.pinyin}) - ${example.english}`);
+        
+        container.innerHTML = '';
+        lines.forEach(example => {
+            let text = example;
+            
+            // Don't give the answer away in recall mode, in either script
+            if (hidden) {
+                glyphs.flatMap(c => CharacterManager.getVariants(c)).forEach(variant => {
+                    text = text.split(variant).join('＿');
+                });
+            }
+            
+            const line = document.createElement('div');
+            line.className = 'example';
+            line.textContent = text;
+            container.appendChild(line);
+        });
+    }
+    
+    revealCharacter() {
+        const char = this.characters[this.currentIndex];
+        const result = this.session.results.get(char);
+        
+        result.revealed = true;
+        result.revealedAt = Date.now();
+        
+        // Side-by-side comparison of the attempt and the answer
+        const attempt = document.getElementById('reveal-attempt');
+        if (attempt) {
+            attempt.src = this.canvas.exportAsImage('png') || '';
+        }
+        
+        const answer = document.getElementById('reveal-answer');
+        if (answer) {
+            answer.textContent = char;
+            answer.classList.toggle('word', [...char].length > 1);
+        }
+        
+        document.getElementById('reveal-modal')?.classList.add('active');
+        
+        // Show the character everywhere without clearing the attempt
+        const display = document.getElementById('display-character');
+        display.textContent = char;
+        display.classList.remove('concealed');
+        this.renderExamples(char, this.characterData[char], false);
+        document.getElementById('reveal-btn')?.classList.add('hidden');
+        document.getElementById('explore-btn')?.classList.remove('hidden');
+        document.getElementById('gallery-btn')?.classList.remove('hidden');
+        document.getElementById('demo-btn').disabled = false;
+        this.guides.setCharacter(char);
+        this.updateCharacterSelector();
+        
+        console.log(`👀 Revealed ${char}`);
+    }
+    
+    gradeReveal(status) {
+        this.setCharacterStatus(status);
+        this.hideModal('reveal-modal');
+    }
+    
+    showSettingsModal() {
+        const settings = this.storage.getSettings();
+        const modeSelect = document.getElementById('setting-practice-mode');
+        if (modeSelect) modeSelect.value = this.session.mode;
+        
+        const script = document.getElementById('setting-script');
+        if (script) script.value = settings.script || 'simp';
+        
+        const shuffle = document.getElementById('setting-shuffle');
+        if (shuffle) shuffle.checked = !!settings.shuffleCharacters;
+        
+        const autoProgress = document.getElementById('setting-auto-progress');
+        if (autoProgress) autoProgress.checked = this.session.options.autoProgress;
+        
+        this.updateDictionaryStatus();
+        this.updateCedictStatus();
+        this.updateDataStatus();
+        
+        document.getElementById('settings-modal')?.classList.add('active');
+    }
+    
+    async updateDataStatus() {
+        const [info, backups] = await Promise.all([this.storage.getStorageInfo(), this.storage.getBackups()]);
+        
+        const status = document.getElementById('storage-status');
+        if (status) {
+            const size = info.storageSize ? `, ${(info.storageSize / 1048576).toFixed(1)} MB` : '';
+            status.textContent = info.available
+                ? `${info.sessionsCount} sessions, ${info.attemptsCount} saved drawings${size}`
+                : `Saved data unavailable${this.storage.initError ? `: ${this.storage.initError.message}` : ''}`;
+        }
+        document.getElementById('export-data').disabled = !info.available;
+        
+        const select = document.getElementById('setting-backup');
+        if (select) {
+            select.innerHTML = '';
+            backups.forEach(backup => {
+                const option = document.createElement('option');
+                option.value = backup.id;
+                option.textContent = `${new Date(backup.createdAt).toLocaleString()} (version ${backup.version})`;
+                select.appendChild(option);
+            });
+        }
+        ['backup-row', 'backup-hint'].forEach(id => {
+            document.getElementById(id)?.classList.toggle('hidden', backups.length === 0);
+        });
+    }
+    
+    async exportAllData() {
+        const data = await this.storage.exportData();
+        if (!data) return;
+        
+        const name = `chinese-writing-backup-${ReviewScheduler.formatDate(new Date())}.json`;
+        this.downloadFile(new File([JSON.stringify(data, null, 2)], name, { type: 'application/json' }));
+    }
+    
+    async importAllData(file) {
+        if (!file) return;
+        
+        try {
+            if (!await this.storage.importData(JSON.parse(await file.text()))) {
+                throw new Error('Not a backup from this app');
+            }
+            this.applyGuideSettings(this.storage.getSettings());
+            console.log(`📥 Imported data from ${file.name}`);
+        } catch (error) {
+            console.error('Failed to import data:', error);
+            alert(`Could not import ${file.name}: ${error.message}`);
+        }
+        
+        this.updateDataStatus();
+    }
+    
+    async restoreBackup(backupId) {
+        if (!backupId) return;
+        if (!confirm('Replace all saved data with this backup? Practice saved since then will be lost.')) return;
+        
+        if (await this.storage.restoreBackup(backupId)) {
+            // The open session and settings were read from the replaced data
+            window.location.reload();
+        } else {
+            alert('Could not restore the backup. See the console for details.');
+        }
+    }
+    
+    downloadFile(file) {
+        const url = URL.createObjectURL(file);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = file.name;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+        
+        console.log(`💾 Downloaded ${file.name}`);
+    }
+    
+    registerUserDictionary(dictionary) {
+        if (dictionary) {
+            CharacterManager.registerSource({
+                id: 'user',
+                name: dictionary.name || 'User dictionary',
+                priority: 300,
+                characters: dictionary.characters
+            });
+        } else {
+            CharacterManager.removeSource('user');
+        }
+    }
+    
+    async importDictionary(file) {
+        if (!file) return;
+        
+        try {
+            const characters = await CharacterManager.parseDictionaryFile(file);
+            const dictionary = { name: file.name, characters };
+            
+            if (!await this.storage.saveUserDictionary(dictionary)) {
+                throw new Error('Dictionary file is too large to store');
+            }
+            this.registerUserDictionary(dictionary);
+            await this.reloadCharacterData();
+            
+            console.log(`📖 Imported dictionary ${file.name}`);
+        } catch (error) {
+            console.error('Failed to import dictionary:', error);
+            alert(`Could not import ${file.name}: ${error.message}`);
+        }
+        
+        this.updateDictionaryStatus();
+    }
+    
+    async removeDictionary() {
+        await this.storage.clearUserDictionary();
+        this.registerUserDictionary(null);
+        await this.reloadCharacterData();
+        this.updateDictionaryStatus();
+    }
+    
+    async registerCedict() {
+        this.cedictInfo = await CedictDictionary.getInfo();
+        
+        if (this.cedictInfo) {
+            CharacterManager.registerSource(CedictDictionary.asSource(this.cedictInfo));
+        } else {
+            CharacterManager.removeSource('cedict');
+        }
+    }
+    
+    async importCedict(file) {
+        if (!file) return;
+        
+        const status = document.getElementById('cedict-status');
+        try {
+            await CedictDictionary.import(file, (processed, total) => {
+                if (status) status.textContent = `Importing… ${Math.round((processed / total) * 100)}%`;
+            });
+            await this.registerCedict();
+            await this.reloadCharacterData();
+        } catch (error) {
+            console.error('Failed to import CC-CEDICT:', error);
+            alert(`Could not import ${file.name}: ${error.message}`);
+        }
+        
+        this.updateCedictStatus();
+    }
+    
+    async removeCedict() {
+        await CedictDictionary.clear();
+        await this.registerCedict();
+        await this.reloadCharacterData();
+        this.updateCedictStatus();
+    }
+    
+    updateCedictStatus() {
+        const info = this.cedictInfo;
+        
+        const status = document.getElementById('cedict-status');
+        if (status) {
+            status.textContent = info
+                ? `${info.entries} entries, imported ${new Date(info.importedAt).toLocaleDateString()}`
+                : 'Not imported';
+        }
+        document.getElementById('remove-cedict')?.classList.toggle('hidden', !info);
+    }
+    
+    async reloadCharacterData() {
+        this.characterData = await CharacterManager.loadCharacterData(this.characters);
+        this.session.characterData = this.characterData;
+        this.loadCharacter(this.currentIndex);
+    }
+    
+    updateDictionaryStatus() {
+        const source = CharacterManager.sources.find(s => s.id === 'user');
+        
+        const status = document.getElementById('dictionary-status');
+        if (status) {
+            status.textContent = source
+                ? `${source.name} (${source.index.size} characters)`
+                : 'Bundled dictionaries only';
+        }
+        document.getElementById('remove-dictionary')?.classList.toggle('hidden', !source);
+    }
+    
+    showSearchModal() {
+        document.getElementById('search-modal')?.classList.add('active');
+        document.getElementById('search-input')?.focus();
+    }
+    
+    scheduleSearch() {
+        // Wait for a pause in typing before searching
+        clearTimeout(this.searchTimer);
+        this.searchTimer = setTimeout(() => this.runSearch(), 200);
+    }
+    
+    async runSearch() {
+        const query = document.getElementById('search-input')?.value || '';
+        const filters = {
+            minStrokes: parseInt(document.getElementById('search-min-strokes')?.value) || null,
+            maxStrokes: parseInt(document.getElementById('search-max-strokes')?.value) || null,
+            script: this.session.script
+        };
+        
+        const results = await CharacterManager.searchCharacters(query, 30, filters);
+        this.renderSearchResults(results, query);
+    }
+    
+    renderSearchResults(results, query) {
+        const container = document.getElementById('search-results');
+        if (!container) return;
+        
+        container.innerHTML = '';
+        if (results.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'search-empty';
+            empty.textContent = query.trim() ? 'No matching characters' : 'Type pinyin, a component or an English word';
+            container.appendChild(empty);
+            return;
+        }
+        
+        results.forEach(result => {
+            const item = document.createElement('div');
+            item.className = 'search-result';
+            
+            const char = document.createElement('span');
+            char.className = 'search-char';
+            char.textContent = result.character;
+            
+            const info = document.createElement('span');
+            info.className = 'search-info';
+            info.textContent = [
+                result.pinyin,
+                result.meaning,
+                result.strokes ? `${result.strokes} strokes` : ''
+            ].filter(Boolean).join(' · ');
+            
+            const inSession = this.session.results.has(result.character);
+            const button = document.createElement('button');
+            button.className = 'control-btn search-add';
+            button.dataset.character = result.character;
+            button.disabled = inSession;
+            button.textContent = inSession ? '✓ In session' : '➕ Add';
+            
+            item.append(char, info, button);
+            container.appendChild(item);
+        });
+    }
+    
+    async addCharacterToSession(char) {
+        const [converted] = await CharacterManager.convertCharacters([char], this.session.script);
+        if (!this.session.addCharacter(converted)) return false;
+        
+        this.characters = this.session.characters;
+        Object.assign(this.characterData, await CharacterManager.loadCharacterData([converted]));
+        
+        // The character is in the session either way, so a storage failure doesn't stop the refresh
+        try {
+            await this.storage.markSeen([converted]);
+            this.session.results.get(converted).nextReview = (await this.storage.getScheduleCard(converted))?.dueDate || null;
+        } catch (error) {
+            this.reportStorageError(error);
+        }
+        
+        this.populateCharacterSelector();
+        this.updateCharacterSelector();
+        this.updateCharacterCounter();
+        this.updateNavigationButtons();
+        this.updateProgressBar();
+        this.saveProgress();
+        
+        console.log(`➕ Added ${converted} to the session`);
+        return true;
+    }
+    
+    showExplorer(part = null) {
+        // Start from the current character; tapping a component explores that component
+        this.explorerCharacter = part || this.characters[this.currentIndex];
+        this.renderExplorer();
+        document.getElementById('explorer-modal')?.classList.add('active');
+    }
+    
+    renderExplorer() {
+        const body = document.getElementById('explorer-body');
+        if (!body) return;
+        
+        const target = this.explorerCharacter;
+        const glyphs = [...target];
+        body.innerHTML = '';
+        
+        if (target !== this.characters[this.currentIndex]) {
+            const back = document.createElement('button');
+            back.className = 'control-btn explorer-back';
+            back.textContent = `↩ Back to ${this.characters[this.currentIndex]}`;
+            body.appendChild(back);
+        }
+        
+        // Breakdown of each character, with its radical
+        glyphs.forEach(glyph => {
+            const tree = CharacterManager.decompose(glyph);
+            const section = document.createElement('div');
+            section.className = 'explorer-character';
+            
+            const heading = document.createElement('div');
+            heading.className = 'explorer-heading';
+            heading.innerHTML = `<span class="explorer-glyph"></span><span class="explorer-info"></span>`;
+            heading.querySelector('.explorer-glyph').textContent = glyph;
+            heading.querySelector('.explorer-info').textContent = [tree.pinyin, tree.meaning].filter(Boolean).join(' · ');
+            section.appendChild(heading);
+            
+            const radical = CharacterManager.getRadical(glyph);
+            if (radical) {
+                const info = CharacterManager.getRadicalInfo(radical);
+                const line = document.createElement('div');
+                line.className = 'explorer-radical';
+                line.textContent = `Radical: ${radical}` +
+                    (info ? ` ${info.name}${info.form ? ` (${info.form})` : ''} — ${info.meaning}` : '');
+                section.appendChild(line);
+            }
+            
+            if (tree.components.length > 0) {
+                section.appendChild(this.renderComponentTree(tree.components));
+            } else {
+                const note = document.createElement('div');
+                note.className = 'explorer-empty';
+                note.textContent = 'No breakdown known for this character';
+                section.appendChild(note);
+            }
+            
+            body.appendChild(section);
+        });
+        
+        // Other known characters built from the same parts
+        const parts = new Set();
+        glyphs.forEach(glyph => {
+            const radical = CharacterManager.getRadical(glyph);
+            if (radical) parts.add(radical);
+            CharacterManager.getAllComponents(glyph).forEach(part => parts.add(part));
+        });
+        
+        parts.forEach(part => {
+            const related = CharacterManager.findCharactersWithComponent(part, {
+                exclude: glyphs,
+                script: this.session.script,
+                limit: 8
+            });
+            if (related.length === 0) return;
+            
+            const group = document.createElement('div');
+            group.className = 'explorer-group';
+            
+            const label = document.createElement('div');
+            label.className = 'explorer-group-label';
+            const meaning = CharacterManager.describeComponent(part).meaning;
+            label.textContent = `Also with ${part}${meaning ? ` (${meaning})` : ''}`;
+            group.appendChild(label);
+            
+            const list = document.createElement('div');
+            list.className = 'explorer-related';
+            related.forEach(data => {
+                const item = document.createElement('div');
+                item.className = 'related-char';
+                item.title = [data.pinyin, data.meaning].filter(Boolean).join(' · ');
+                
+                const char = document.createElement('button');
+                char.className = 'component-node';
+                char.dataset.character = data.character;
+                char.textContent = data.character;
+                
+                const inSession = this.session.results.has(data.character);
+                const add = document.createElement('button');
+                add.className = 'explorer-add';
+                add.dataset.character = data.character;
+                add.disabled = inSession;
+                add.textContent = inSession ? '✓' : '➕';
+                
+                item.append(char, add);
+                list.appendChild(item);
+            });
+            group.appendChild(list);
+            body.appendChild(group);
+        });
+    }
+    
+    renderComponentTree(nodes) {
+        const list = document.createElement('ul');
+        list.className = 'component-tree';
+        
+        nodes.forEach(node => {
+            const item = document.createElement('li');
+            
+            const part = document.createElement('button');
+            part.className = 'component-node';
+            part.dataset.character = node.character;
+            part.textContent = node.character;
+            
+            const info = document.createElement('span');
+            info.className = 'component-info';
+            info.textContent = [node.meaning, node.name].filter(Boolean).join(' · ');
+            
+            item.append(part, info);
+            if (node.components.length > 0) {
+                item.appendChild(this.renderComponentTree(node.components));
+            }
+            list.appendChild(item);
+        });
+        
+        return list;
+    }
+    
+    setPracticeMode(mode) {
+        this.session.mode = mode === 'recall' ? 'recall' : 'copy';
+        this.storage.saveSettings({ practiceMode: this.session.mode });
+        
+        // Characters not yet attempted switch to the new mode
+        this.session.results.forEach(result => {
+            if (result.attempts === 0) {
+                result.mode = this.session.mode;
+            }
+        });
+        
+        this.populateCharacterSelector();
+        this.loadCharacter(this.currentIndex);
+        
+        console.log('🧠 Practice mode set to:', this.session.mode);
+    }
+    
+    hideModal(id) {
+        document.getElementById(id)?.classList.remove('active');
+    }
+    
+    clearCanvas() {
+        // Clearing after an attempt starts the next tracing repetition
+        if (this.canvas.getStrokes().length > 0) {
+            this.guides.nextRepetition();
+            this.updateTraceProgress();
+        }
+        
+        this.canvas.clear();
+        this.saveDrawing();
+    }
+    
+    toggleEraser() {
+        this.canvas.setEraserMode(!this.canvas.eraserMode);
+        document.getElementById('erase-btn')?.classList.toggle('active', this.canvas.eraserMode);
+    }
+    
+    applyGuideSettings(settings) {
+        this.guides.setGrid(settings.gridType || 'tian');
+        this.guides.setTraceMode(!!settings.traceMode);
+        
+        const gridSelect = document.getElementById('grid-select');
+        if (gridSelect) gridSelect.value = this.guides.gridType;
+        
+        document.getElementById('trace-btn')?.classList.toggle('active', this.guides.traceMode);
+        this.updateTraceProgress();
+    }
+    
+    toggleTraceMode() {
+        this.guides.setTraceMode(!this.guides.traceMode);
+        this.storage.saveSettings({ traceMode: this.guides.traceMode });
+        
+        document.getElementById('trace-btn')?.classList.toggle('active', this.guides.traceMode);
+        this.updateTraceProgress();
+    }
+    
+    updateTraceProgress() {
+        const label = document.getElementById('trace-progress');
+        if (!label) return;
+        
+        const progress = this.guides.getTraceProgress();
+        label.textContent = `Trace ${progress.repetition}/${progress.total}`;
+        label.classList.toggle('hidden', !this.guides.traceMode);
+    }
+    
+    toggleDemoMode() {
+        this.demoMode = !this.demoMode;
+        
+        this.animator.layer.classList.toggle('hidden', !this.demoMode);
+        document.getElementById('demo-controls')?.classList.toggle('hidden', !this.demoMode);
+        document.getElementById('demo-btn')?.classList.toggle('active', this.demoMode);
+        
+        if (this.demoMode) {
+            this.animator.play();
+        } else {
+            this.animator.reset();
+        }
+        
+        console.log(`👁️ Stroke order demo ${this.demoMode ? 'shown' : 'hidden'}`);
+    }
+    
+    updateDemoControls(state) {
+        const playBtn = document.getElementById('demo-play');
+        const progress = document.getElementById('demo-progress');
+        
+        if (playBtn) {
+            playBtn.textContent = state.isPlaying ? '⏸️ Pause' : '▶️ Play';
+            playBtn.disabled = state.totalStrokes === 0;
+        }
+        
+        if (progress) {
+            progress.textContent = state.totalStrokes > 0
+                ? `Stroke ${state.currentStroke}/${state.totalStrokes}`
+                : 'No stroke data';
+        }
+    }
+    
+    getReferenceMedians(char) {
+        // Words place each character's medians in its own cell
+        const glyphs = [...char];
+        if (glyphs.length === 1) {
+            return CharacterManager.getStrokeMedians(char);
+        }
+        
+        const cells = this.guides.getCells();
+        return glyphs.flatMap((c, i) => StrokeGrader.mediansForCell(
+            CharacterManager.getStrokeMedians(c), cells[i], this.guides.width, this.guides.height
+        ));
+    }
+    
+    checkWriting() {
+        const char = this.characters[this.currentIndex];
+        const strokes = this.canvas.getStrokes();
+        
+        if (this.getReferenceMedians(char).length === 0) {
+            this.showWritingFeedback(['No stroke order data for this character yet'], null);
+            return;
+        }
+        
+        if (strokes.length === 0) {
+            this.showWritingFeedback(['Write the character first, then check it'], null);
+            return;
+        }
+        
+        if ([...char].length > 1) {
+            this.checkWord(char, strokes);
+            return;
+        }
+        
+        const medians = CharacterManager.getStrokeMedians(char);
+        const report = StrokeGrader.grade(strokes, medians, {
+            character: char,
+            strokeNames: CharacterManager.getStrokeOrder(char)
+        });
+        
+        // What the drawing reads as, independent of stroke order, and how well it's formed
+        const recognition = HandwritingRecognizer.check(strokes, char);
+        const shape = this.analyzeShape(char, strokes);
+        
+        this.showWritingFeedback([
+            HandwritingRecognizer.describe(recognition),
+            ...report.messages,
+            ...this.describeShape(shape)
+        ], report.passed);
+        
+        // Grading drives the status and is kept in the feedback log
+        this.setCharacterStatus(StrokeGrader.suggestStatus(report), {
+            source: 'stroke-grader',
+            score: report.score,
+            passed: report.passed,
+            missing: report.missing,
+            extra: report.extra,
+            wrongOrder: report.wrongOrder,
+            wrongDirection: report.wrongDirection,
+            messages: report.messages,
+            recognition: this.summarizeRecognition(recognition),
+            shape
+        });
+        
+        console.log(`🧮 Graded ${char}: ${report.score}%`, report);
+    }
+    
+    checkWord(word, strokes) {
+        const characters = [...word].map(c => ({
+            character: c,
+            medians: CharacterManager.getStrokeMedians(c),
+            strokeNames: CharacterManager.getStrokeOrder(c)
+        }));
+        const report = StrokeGrader.gradeWord(strokes, characters, this.guides.getCells());
+        const recognition = HandwritingRecognizer.checkWord(strokes, word, this.guides.getCells());
+        const shape = this.analyzeShape(word, strokes);
+        
+        // Each graded character gets its own result inside the word
+        report.characters.forEach(charReport => {
+            if (charReport.expectedStrokes === 0) return;
+            const status = StrokeGrader.suggestStatus(charReport);
+            this.session.setWordCharacterStatus(word, charReport.position, status);
+            this.storage.recordStatus(charReport.character, status, {
+                sessionId: this.session.id,
+                key: AttemptArchive.getKey(strokes)
+            }).catch(error => this.reportStorageError(error));
+        });
+        
+        const summary = report.characters
+            .filter(charReport => charReport.expectedStrokes > 0)
+            .map(charReport => `${charReport.character} ${charReport.passed ? '✅' : '⚠️'} ${charReport.score}%`)
+            .join('  ');
+        const messages = report.passed
+            ? [summary, HandwritingRecognizer.describe(recognition), 'Every character in the correct order and direction']
+            : [summary, HandwritingRecognizer.describe(recognition), ...report.messages];
+        messages.push(...this.describeShape(shape));
+        this.showWritingFeedback(messages, report.passed);
+        
+        this.setCharacterStatus(report.passed ? 'mastered' : 'needs-work', {
+            source: 'stroke-grader',
+            score: report.score,
+            passed: report.passed,
+            characters: report.characters.map(charReport => ({
+                character: charReport.character,
+                position: charReport.position,
+                score: charReport.score,
+                passed: charReport.passed,
+                messages: charReport.messages,
+                recognition: this.summarizeRecognition(recognition.characters[charReport.position])
+            })),
+            messages: report.messages,
+            recognition: {
+                recognized: recognition.recognized,
+                confidence: recognition.confidence,
+                matchesTarget: recognition.matchesTarget
+            },
+            shape
+        });
+        
+        console.log(`🧮 Graded ${word}: ${report.score}%`, report);
+    }
+    
+    analyzeShape(char, strokes) {
+        if (strokes.length === 0) return null;
+        
+        return [...char].length > 1
+            ? ShapeAnalyzer.analyzeWord(strokes, char, this.guides.getCells())
+            : ShapeAnalyzer.analyze(strokes, { character: char });
+    }
+    
+    describeShape(shape) {
+        if (!shape) return [];
+        return [`Shape ${shape.score}/100`, ...shape.hints];
+    }
+    
+    summarizeRecognition(recognition) {
+        // The parts of a recognizer check worth keeping with the result
+        return {
+            recognized: recognition.recognized,
+            confidence: recognition.confidence,
+            matchesTarget: recognition.matchesTarget,
+            candidates: recognition.candidates.slice(0, 3)
+        };
+    }
+    
+    showWritingFeedback(messages, passed) {
+        const panel = document.getElementById('writing-feedback');
+        if (!panel) return;
+        
+        panel.classList.remove('hidden', 'passed', 'failed');
+        if (passed !== null) {
+            panel.classList.add(passed ? 'passed' : 'failed');
+        }
+        
+        panel.innerHTML = '';
+        messages.forEach(message => {
+            const line = document.createElement('div');
+            line.className = 'feedback-line';
+            line.textContent = message;
+            panel.appendChild(line);
+        });
+    }
+    
+    hideWritingFeedback() {
+        const panel = document.getElementById('writing-feedback');
+        if (panel) {
+            panel.classList.add('hidden');
+            panel.innerHTML = '';
+        }
+    }
+    
+    recordStroke(stroke) {
+        const char = this.characters[this.currentIndex];
+        this.session.addStroke(stroke);
+        
+        // Persisted together with the drawing by the canvas change callback
+        console.log(`✍️ Recorded stroke for ${char} (${stroke.points.length} points)`);
+    }
+    
+    async scheduleReview(char, result) {
+        const card = ReviewScheduler.review(
+            await this.storage.getScheduleCard(char),
+            ReviewScheduler.qualityForResult(result),
+            { character: char, sessionId: this.session.id }
+        );
+        
+        await this.storage.saveScheduleCard(card);
+        result.nextReview = card.lastReviewed ? card.dueDate : null;
+        
+        console.log(`📆 Next review of ${char}: ${result.nextReview || 'not scheduled'}`);
     }
     
     updateStatusButtons(activeStatus) {
@@ -216,11 +1490,12 @@ class ChineseWritingApp {
         container.innerHTML = '';
         this.characters.forEach((char, index) => {
             const item = document.createElement('div');
+            const result = this.session.results.get(char);
             item.className = 'character-item';
-            item.textContent = char;
+            item.classList.toggle('word', [...char].length > 1);
+            item.textContent = this.isCharacterHidden(result) ? String(index + 1) : char;
             item.dataset.index = index;
             
-            const result = this.session.results.get(char);
             if (result.status !== 'not-practiced') {
                 item.classList.add(result.status);
             }
@@ -240,6 +1515,7 @@ class ChineseWritingApp {
             // Update status styling
             const char = this.characters[index];
             const result = this.session.results.get(char);
+            item.textContent = this.isCharacterHidden(result) ? String(index + 1) : char;
             
             item.classList.remove('mastered', 'needs-work');
             if (result.status !== 'not-practiced') {
@@ -256,42 +1532,286 @@ class ChineseWritingApp {
     }
     
     updateProgressBar() {
-        const practiced = Array.from(this.session.results.values())
-            .filter(r => r.status !== 'not-practiced').length;
-        const percentage = (practiced / this.characters.length) * 100;
+        const progress = this.session.getProgress();
         
         const fill = document.getElementById('progress-fill');
         const text = document.getElementById('progress-text');
         
-        if (fill) fill.style.width = `${percentage}%`;
-        if (text) text.textContent = `${Math.round(percentage)}% Complete`;
+        if (fill) fill.style.width = `${progress.percentagePracticed}%`;
+        if (text) text.textContent = `${progress.percentagePracticed}% Complete`;
     }
     
     updateNavigationButtons() {
         const prevBtn = document.getElementById('prev-char');
         const nextBtn = document.getElementById('next-char');
         
+        const isLast = this.currentIndex === this.characters.length - 1;
+        
         if (prevBtn) prevBtn.disabled = this.currentIndex === 0;
-        if (nextBtn) nextBtn.disabled = this.currentIndex === this.characters.length - 1;
+        if (nextBtn) nextBtn.disabled = isLast;
+        
+        // The footer button finishes the session on the last character
+        const nextCharacterBtn = document.getElementById('next-character-btn');
+        if (nextCharacterBtn) {
+            nextCharacterBtn.textContent = isLast ? '🏁 Finish Session' : 'Next Character ›';
+        }
     }
     
     previousCharacter() {
         if (this.currentIndex > 0) {
             this.loadCharacter(this.currentIndex - 1);
-            this.updateCharacterCounter();
         }
     }
     
     nextCharacter() {
         if (this.currentIndex < this.characters.length - 1) {
             this.loadCharacter(this.currentIndex + 1);
-            this.updateCharacterCounter();
         }
     }
     
+    finishSession() {
+        const summary = this.session.completeSession();
+        this.saveProgress();
+        this.showSessionSummary(summary);
+    }
+    
+    showSessionSummary(summary) {
+        const { stats, analysis, recommendations } = summary;
+        
+        const statsEl = document.getElementById('summary-stats');
+        if (statsEl) {
+            statsEl.innerHTML = '';
+            this.renderStatTiles(statsEl, [
+                ['Practiced', `${stats.practiced}/${stats.total}`],
+                ['Mastered', `${stats.mastered}`],
+                ['Mastery rate', `${stats.percentagemastered}%`],
+                ['Duration', `${stats.durationMinutes} min`],
+                ['Avg. per character', `${stats.averageTimePerCharacter}s`],
+                ['Attempts', `${stats.totalAttempts}`]
+            ]);
+        }
+        
+        const analysisEl = document.getElementById('summary-analysis');
+        if (analysisEl) {
+            const lines = [];
+            if (analysis.mastered.length > 0) {
+                lines.push(`✅ Mastered: ${analysis.mastered.map(c => c.character).join(' ')}`);
+            }
+            if (analysis.needsWork.length > 0) {
+                lines.push(`⚠️ Needs work: ${analysis.needsWork.map(c => c.character).join(' ')}`);
+            }
+            if (analysis.mostDifficult) {
+                lines.push(`🧗 Most difficult: ${analysis.mostDifficult}`);
+            }
+            if (analysis.quickestmastered) {
+                lines.push(`⚡ Quickest mastered: ${analysis.quickestmastered}`);
+            }
+            analysisEl.innerHTML = '';
+            lines.forEach(text => {
+                const line = document.createElement('div');
+                line.textContent = text;
+                analysisEl.appendChild(line);
+            });
+        }
+        
+        const recommendationsEl = document.getElementById('summary-recommendations');
+        if (recommendationsEl) {
+            recommendationsEl.innerHTML = '';
+            recommendations.forEach(rec => {
+                const item = document.createElement('li');
+                item.className = `recommendation ${rec.priority}`;
+                item.textContent = rec.message;
+                recommendationsEl.appendChild(item);
+            });
+        }
+        
+        document.getElementById('summary-modal')?.classList.add('active');
+        console.log('🏁 Session summary shown');
+    }
+    
+    renderStatTiles(container, rows) {
+        // rows: [[label, value]]
+        rows.forEach(([label, value]) => {
+            const item = document.createElement('div');
+            item.className = 'summary-stat';
+            item.innerHTML = `<span class="summary-value"></span><span class="summary-label"></span>`;
+            item.querySelector('.summary-value').textContent = value;
+            item.querySelector('.summary-label').textContent = label;
+            container.appendChild(item);
+        });
+    }
+    
+    async showHistory(limit = 20) {
+        const body = document.getElementById('history-body');
+        if (!body) return;
+        
+        // One extra tells whether there are more to show
+        const sessions = await this.storage.getRecentSessions(limit + 1);
+        body.innerHTML = '';
+        
+        if (sessions.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'dashboard-empty';
+            empty.textContent = 'No saved sessions yet.';
+            body.appendChild(empty);
+        }
+        
+        const list = document.createElement('div');
+        list.className = 'history-list';
+        sessions.slice(0, limit).forEach(saved => {
+            const counts = this.countSessionResults(saved);
+            const item = document.createElement('div');
+            item.className = 'history-item';
+            
+            const chars = document.createElement('div');
+            chars.className = 'history-chars';
+            chars.textContent = saved.characters.join(' ');
+            
+            const info = document.createElement('div');
+            info.className = 'history-info';
+            info.textContent = [
+                new Date(saved.startTime || saved.savedAt).toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' }),
+                ResultsExporter.formatMode(saved.mode),
+                `✅ ${counts.mastered} · ⚠️ ${counts.needsWork} · ${counts.practiced}/${counts.total} practiced`,
+                saved.id === this.session.id ? 'current' : (saved.completed ? '' : 'unfinished')
+            ].filter(Boolean).join(' · ');
+            
+            const open = document.createElement('button');
+            open.className = 'control-btn';
+            open.textContent = 'Open';
+            open.addEventListener('click', () => this.showHistorySession(saved));
+            
+            const text = document.createElement('div');
+            text.className = 'history-text';
+            text.append(chars, info);
+            item.append(text, open);
+            list.appendChild(item);
+        });
+        body.appendChild(list);
+        
+        if (sessions.length > limit) {
+            const more = document.createElement('button');
+            more.className = 'control-btn history-more';
+            more.textContent = 'Show more';
+            more.addEventListener('click', () => this.showHistory(limit + 20));
+            body.appendChild(more);
+        }
+        
+        document.getElementById('history-modal')?.classList.add('active');
+    }
+    
+    countSessionResults(saved) {
+        const results = Array.from(saved.results.values());
+        const mastered = results.filter(r => r.status === 'mastered').length;
+        const needsWork = results.filter(r => r.status === 'needs-work').length;
+        return { total: results.length, practiced: mastered + needsWork, mastered, needsWork };
+    }
+    
+    showHistorySession(saved) {
+        // Read-only summary of a past session
+        const body = document.getElementById('history-body');
+        if (!body) return;
+        body.innerHTML = '';
+        
+        const back = document.createElement('button');
+        back.className = 'control-btn explorer-back';
+        back.textContent = '‹ All sessions';
+        back.addEventListener('click', () => this.showHistory());
+        body.appendChild(back);
+        
+        const heading = document.createElement('div');
+        heading.className = 'history-info';
+        heading.textContent = [
+            new Date(saved.startTime || saved.savedAt).toLocaleString([], { dateStyle: 'full', timeStyle: 'short' }),
+            ResultsExporter.formatSessionType(saved.type),
+            ResultsExporter.formatMode(saved.mode),
+            ResultsExporter.formatScript(saved.script)
+        ].join(' · ');
+        body.appendChild(heading);
+        
+        const counts = this.countSessionResults(saved);
+        const tiles = document.createElement('div');
+        tiles.className = 'summary-stats';
+        this.renderStatTiles(tiles, [
+            ['Practiced', `${counts.practiced}/${counts.total}`],
+            ['Mastered', `${counts.mastered}`],
+            ['Needs work', `${counts.needsWork}`],
+            ['Duration', `${Math.round((saved.duration || 0) / 60000)} min`],
+            ['Attempts', `${saved.stats?.totalAttempts ?? Array.from(saved.results.values()).reduce((sum, r) => sum + (r.attempts || 0), 0)}`],
+            ['Status', saved.completed ? 'Finished' : 'Unfinished']
+        ]);
+        body.appendChild(tiles);
+        
+        const grid = document.createElement('div');
+        grid.className = 'history-results';
+        saved.results.forEach((result, char) => {
+            const cell = document.createElement('div');
+            cell.className = `history-result ${result.status}`;
+            cell.title = `${ResultsExporter.formatStatus(result.status)} · ${result.attempts || 0} attempts`;
+            cell.textContent = `${char} ${ResultsExporter.statusIcon(result.status)}`;
+            grid.appendChild(cell);
+        });
+        body.appendChild(grid);
+        
+        const recommendations = document.createElement('ul');
+        recommendations.className = 'summary-recommendations';
+        ResultsExporter.getRecommendations(saved).forEach(rec => {
+            const item = document.createElement('li');
+            item.className = `recommendation ${rec.priority}`;
+            item.textContent = rec.message;
+            recommendations.appendChild(item);
+        });
+        body.appendChild(recommendations);
+        
+        const needsWork = saved.characters.filter(char => saved.results.get(char)?.status === 'needs-work');
+        const isCurrent = saved.id === this.session.id;
+        const actions = document.createElement('div');
+        actions.className = 'export-actions history-actions';
+        [
+            ['📤 Export', () => {
+                this.hideModal('history-modal');
+                this.showExportModal(saved, saved.characters);
+            }],
+            ['🔁 Practice again', () => this.practiceCharacters(saved.characters, saved)],
+            [`⚠️ Practice needs work (${needsWork.length})`, () => this.practiceCharacters(needsWork, saved), needsWork.length === 0],
+            ['🗑️ Delete', () => this.deleteHistorySession(saved), isCurrent]
+        ].forEach(([label, action, disabled]) => {
+            const button = document.createElement('button');
+            button.className = 'control-btn';
+            button.textContent = label;
+            button.disabled = !!disabled;
+            button.addEventListener('click', action);
+            actions.appendChild(button);
+        });
+        body.appendChild(actions);
+    }
+    
+    async practiceCharacters(characters, saved) {
+        // A new session starts from the URL, the same way shared practice links do
+        await this.saveProgress();
+        
+        const params = new URLSearchParams({
+            chars: characters.join(','),
+            type: saved.type || 'character-practice',
+            level: saved.level || 'hsk-3',
+            mode: saved.mode || 'copy',
+            script: saved.script || 'simp'
+        });
+        window.location.search = params.toString();
+    }
+    
+    async deleteHistorySession(saved) {
+        if (!confirm(`Delete the session from ${new Date(saved.startTime || saved.savedAt).toLocaleString()}? This can't be undone.`)) {
+            return;
+        }
+        
+        await this.storage.deleteSession(saved.id);
+        console.log(`🗑️ Deleted session ${saved.id}`);
+        this.showHistory();
+    }
+    
     startSessionTimer() {
         setInterval(() => {
-            this.session.duration = Date.now() - this.session.startTime;
             const minutes = Math.floor(this.session.duration / 60000);
             const seconds = Math.floor((this.session.duration % 60000) / 1000);
             
@@ -302,14 +1822,118 @@ class ChineseWritingApp {
         }, 1000);
     }
     
-    showExportModal() {
+    showExportModal(session = this.session, characters = this.characters) {
+        // Past sessions from the history screen export the same way as the current one
         const modal = document.getElementById('export-modal');
+        if (!modal) return;
+        
+        this.exportTarget = { session, characters };
+        const format = this.storage.getSettings().exportFormat;
+        document.getElementById('export-format').value = ResultsExporter.FORMATS[format] ? format : 'fleeting';
+        document.getElementById('share-results')?.classList.toggle('hidden', !navigator.share);
+        
+        this.exportRender = this.renderExport();
+        modal.classList.add('active');
+    }
+    
+    getExportFormat() {
+        return document.getElementById('export-format')?.value || 'fleeting';
+    }
+    
+    async renderExport() {
         const textarea = document.getElementById('export-text');
+        if (!textarea || !this.exportTarget) return;
+        
+        const format = this.getExportFormat();
+        const target = this.exportTarget;
+        const buttons = ['download-results', 'share-results'].map(id => document.getElementById(id)).filter(Boolean);
+        buttons.forEach(button => button.disabled = true);
+        this.exportFile = null;
+        
+        try {
+            const exportMedia = format === 'anki' ? await this.getAnkiMedia(target.characters) : [];
+            
+            // A newer render (another format or session) has taken over
+            if (format !== this.getExportFormat() || target !== this.exportTarget) return;
+            
+            this.exportMedia = exportMedia;
+            const media = Object.fromEntries(exportMedia.map(item => [item.character, item.name]));
+            textarea.value = ResultsExporter.generate(format, target.session, target.characters, media);
+            document.getElementById('export-hint').textContent = ResultsExporter.FORMATS[format].hint;
+            
+            // Built ahead of the tap: Safari rejects share() that doesn't run straight from the click
+            this.exportFile = this.getExportFile();
+            buttons.forEach(button => button.disabled = false);
+        } catch (error) {
+            console.error('Failed to prepare export:', error);
+            textarea.value = '';
+        }
+    }
+    
+    async getAnkiMedia(characters) {
+        // Each character's best archived attempt as a PNG, for the Handwriting field
+        const media = [];
+        for (const character of characters) {
+            const best = AttemptArchive.getBest(await this.storage.getAttempts(character));
+            const image = best ? this.canvas.exportAsImage('png', best) : null;
+            if (image) {
+                media.push({
+                    character,
+                    name: ResultsExporter.getAnkiMediaName(character),
+                    data: ZipWriter.dataURLToBytes(image)
+                });
+            }
+        }
+        return media;
+    }
+    
+    getExportFile() {
+        const format = this.getExportFormat();
+        const { mimeType } = ResultsExporter.FORMATS[format];
+        const session = this.exportTarget.session;
+        const name = ResultsExporter.getFilename(format, session);
+        const text = document.getElementById('export-text').value;
         
-        if (modal && textarea) {
-            textarea.value = ResultsExporter.generateResults(this.session, this.characters);
-            modal.classList.add('active');
+        if (format === 'anki') {
+            // Notes file plus a media folder for Anki's collection.media
+            const zip = ZipWriter.create([
+                { name: ResultsExporter.getFilename(format, session, 'txt'), data: text },
+                ...this.exportMedia.map(item => ({ name: `media/${item.name}`, data: item.data }))
+            ]);
+            return new File([zip], name, { type: mimeType });
         }
+        
+        return new File([text], name, { type: mimeType });
+    }
+    
+    async downloadResults() {
+        if (!this.exportTarget) return;
+        
+        // Anki images are drawn asynchronously; the file must match the chosen format
+        await this.exportRender;
+        if (this.exportFile) {
+            this.downloadFile(this.exportFile);
+        }
+    }
+    
+    shareResults() {
+        // Share sheet on iPad: Notes, Files, Messages; a file where supported, otherwise the text.
+        // No await before share(): the button stays disabled until renderExport() has built the file
+        const file = this.exportFile;
+        if (!file || !navigator.share) return;
+        
+        const data = navigator.canShare?.({ files: [file] })
+            ? { files: [file], title: file.name }
+            : { title: file.name, text: document.getElementById('export-text').value };
+        
+        navigator.share(data)
+            .then(() => console.log(`📤 Shared ${file.name}`))
+            .catch(error => {
+                // Closing the share sheet rejects with AbortError
+                if (error.name !== 'AbortError') {
+                    console.error('Failed to share results:', error);
+                }
+            });
     }
     
     hideExportModal() {
@@ -343,11 +1967,27 @@ class ChineseWritingApp {
     }
     
     handleKeyboard(e) {
+        // Typing in a form field (e.g. the search box) isn't a shortcut
+        if (e.target.matches?.('input, textarea, select') && e.key !== 'Escape') {
+            return;
+        }
+        
         // Prevent default for our shortcuts
         if (e.key === 'ArrowLeft' || e.key === 'ArrowRight' || e.key === ' ' || e.key === 'Escape') {
             e.preventDefault();
         }
         
+        // Ctrl/Cmd+Z undoes the last stroke action, with Shift it redoes
+        if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'z') {
+            e.preventDefault();
+            if (e.shiftKey) {
+                this.canvas.redo();
+            } else {
+                this.canvas.undo();
+            }
+            return;
+        }
+        
         switch (e.key) {
             case 'ArrowLeft':
                 this.previousCharacter();
@@ -356,10 +1996,25 @@ class ChineseWritingApp {
                 this.nextCharacter();
                 break;
             case ' ':
-                this.canvas.clear();
+                this.clearCanvas();
                 break;
             case 'Escape':
                 this.hideExportModal();
+                this.hideModal('reveal-modal');
+                this.hideModal('settings-modal');
+                this.hideModal('summary-modal');
+                this.hideModal('search-modal');
+                this.hideModal('explorer-modal');
+                this.hideModal('gallery-modal');
+                this.hideModal('dashboard-modal');
+                this.hideModal('history-modal');
+                break;
+            case '/':
+                e.preventDefault();
+                this.showSearchModal();
+                break;
+            case 'e':
+                this.toggleEraser();
                 break;
             case '1':
                 this.setCharacterStatus('mastered');
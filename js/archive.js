@@ -0,0 +1,105 @@
+// Attempt Archive
+// Turns captured strokes into compact vector records and renders them back as SVG
+
+class AttemptArchive {
+    static MIN_POINT_SPACING = 3; // Canvas pixels; closer points add size without changing the shape
+    
+    static create(strokes, meta = {}) {
+        // meta: { character, sessionId, status, mode, score, shapeScore }
+        const canvasSize = strokes[0]?.canvasSize || { width: 600, height: 600 };
+        
+        return {
+            id: `attempt_${Date.now()}_${Math.random().toString(36).substr(2, 6)}`,
+            character: meta.character,
+            sessionId: meta.sessionId || null,
+            date: new Date().toISOString(),
+            status: meta.status || 'not-practiced',
+            mode: meta.mode || 'copy',
+            score: meta.score ?? null,
+            shapeScore: meta.shapeScore ?? null,
+            key: this.getKey(strokes),
+            width: canvasSize.width,
+            height: canvasSize.height,
+            strokes: strokes.map(stroke => ({
+                d: this.toPathData(stroke.points || []),
+                w: Math.round((stroke.width || stroke.brushSize || 8) * 10) / 10,
+                c: stroke.color || '#000000'
+            }))
+        };
+    }
+    
+    static getKey(strokes) {
+        // Identifies one drawing, so re-grading it updates the record instead of adding another
+        if (strokes.length === 0) return '';
+        return `${strokes.length}:${strokes[0].id}:${strokes[strokes.length - 1].id}`;
+    }
+    
+    static toPathData(points) {
+        // "M12 30L15 32..." in whole pixels, dropping points that barely move
+        if (points.length === 0) return '';
+        
+        const kept = [points[0]];
+        for (let i = 1; i < points.length; i++) {
+            const last = kept[kept.length - 1];
+            const isEnd = i === points.length - 1;
+            if (isEnd || Math.hypot(points[i].x - last.x, points[i].y - last.y) >= this.MIN_POINT_SPACING) {
+                kept.push(points[i]);
+            }
+        }
+        
+        // A tap is drawn as a dot
+        if (kept.length === 1) kept.push(kept[0]);
+        
+        return kept
+            .map((p, i) => `${i === 0 ? 'M' : 'L'}${Math.round(p.x)} ${Math.round(p.y)}`)
+            .join('');
+    }
+    
+    static toSVG(attempt, size = 120) {
+        const paths = attempt.strokes
+            .map(stroke => `<path d="${String(stroke.d).replace(/[^ML0-9 .-]/g, '')}" stroke="${this.escapeColor(stroke.c)}" stroke-width="${Number(stroke.w) || 8}"/>`)
+            .join('');
+        
+        return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${Number(attempt.width) || 600} ${Number(attempt.height) || 600}" ` +
+            `width="${size}" height="${size}" fill="none" stroke-linecap="round" stroke-linejoin="round">${paths}</svg>`;
+    }
+    
+    static escapeColor(color) {
+        // Records can come from imported files; only plain path data and colors go into the markup
+        return /^#[0-9a-fA-F]{3,8}$|^rgba?\([\d\s.,%]+\)$|^[a-z]+$/.test(color) ? color : '#000000';
+    }
+    
+    static getBest(attempts) {
+        // Mastered attempts first, then the highest score, then the latest
+        const rank = (attempt) => [
+            attempt.status === 'mastered' ? 1 : 0,
+            attempt.score ?? attempt.shapeScore ?? -1,
+            attempt.date
+        ];
+        
+        return attempts
+            .filter(attempt => attempt.strokes?.length > 0)
+            .reduce((best, attempt) => {
+                if (!best) return attempt;
+                const [a, b] = [rank(attempt), rank(best)];
+                const better = a[0] - b[0] || a[1] - b[1] || a[2].localeCompare(b[2]);
+                return better > 0 ? attempt : best;
+            }, null);
+    }
+    
+    static groupByDay(attempts) {
+        // Oldest day first, for a left-to-right timeline
+        const days = new Map();
+        [...attempts]
+            .sort((a, b) => a.date.localeCompare(b.date))
+            .forEach(attempt => {
+                const day = ReviewScheduler.formatDate(new Date(attempt.date));
+                if (!days.has(day)) days.set(day, []);
+                days.get(day).push(attempt);
+            });
+        return days;
+    }
+}
+
+// Export for global use
+window.AttemptArchive = AttemptArchive;
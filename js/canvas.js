@@ -7,10 +7,17 @@ class DrawingCanvas {
         this.canvas = null;
         this.isDrawing = false;
         this.currentPath = null;
-        this.history = [];
-        this.historyIndex = -1;
+        this.undoStack = []; // Stroke operations: { type: 'add' | 'erase' | 'clear', strokes, index }
+        this.redoStack = [];
+        this.paths = new Map(); // Fabric path for each stroke id, reused on undo/redo
+        this.eraserMode = false;
         this.brushSize = 8;
         this.brushColor = '#000000';
+        this.backgroundColor = '#ffffff';
+        this.strokes = []; // Point data for the strokes currently on the canvas
+        this.currentStroke = null;
+        this.onStrokeCaptured = null; // Callback receiving each completed stroke
+        this.onChange = null; // Callback after the learner changes the drawing
         
         this.init();
     }
@@ -21,10 +28,11 @@ class DrawingCanvas {
             this.canvas = new fabric.Canvas(this.canvasId, {
                 width: 600,
                 height: 600,
-                backgroundColor: '#ffffff',
+                backgroundColor: this.backgroundColor,
                 selection: false, // Disable selection
                 renderOnAddRemove: true,
-                enableRetinaScaling: true
+                enableRetinaScaling: true,
+                enablePointerEvents: true // Needed for pressure and pointer type
             });
             
             // Configure for drawing
@@ -37,9 +45,7 @@ class DrawingCanvas {
             
             // Set up event listeners
             this.setupEventListeners();
-            
-            // Save initial state
-            this.saveState();
+            this.updateUndoRedoButtons();
             
             console.log('🎨 Canvas initialized successfully');
         } catch (error) {
@@ -117,9 +123,22 @@ class DrawingCanvas {
             this.onPathCreated(e);
         });
         
-        // Drawing state tracking
-        this.canvas.on('mouse:down', () => {
+        // Drawing state tracking and stroke point capture
+        this.canvas.on('mouse:down', (e) => {
+            // In eraser mode a tap removes the stroke under it instead of drawing
+            if (this.eraserMode) {
+                if (e.target?.strokeId) this.eraseStroke(e.target.strokeId);
+                return;
+            }
+            
             this.isDrawing = true;
+            this.beginStroke(e.e);
+        });
+        
+        this.canvas.on('mouse:move', (e) => {
+            if (this.currentStroke) {
+                this.addStrokePoint(e.e);
+            }
         });
         
         this.canvas.on('mouse:up', () => {
@@ -217,16 +236,100 @@ class DrawingCanvas {
         return indicator;
     }
     
+    beginStroke(event) {
+        if (!event) return;
+        
+        this.currentStroke = {
+            id: `stroke_${Date.now()}_${Math.random().toString(36).substr(2, 6)}`,
+            startTime: Date.now(),
+            endTime: null,
+            duration: 0,
+            pointerType: event.pointerType || (event.touches ? 'touch' : 'mouse'),
+            brushSize: this.brushSize,
+            canvasSize: {
+                width: this.canvas.getWidth(),
+                height: this.canvas.getHeight()
+            },
+            points: []
+        };
+        
+        this.addStrokePoint(event);
+    }
+    
+    addStrokePoint(event) {
+        const pointer = this.canvas.getPointer(event);
+        
+        this.currentStroke.points.push({
+            x: Math.round(pointer.x * 10) / 10,
+            y: Math.round(pointer.y * 10) / 10,
+            t: Date.now() - this.currentStroke.startTime,
+            pressure: this.getEventPressure(event)
+        });
+    }
+    
+    getEventPressure(event) {
+        // Pointer events report pressure directly; mice report 0.5 while pressed
+        if (typeof event.pressure === 'number' && event.pressure > 0) {
+            return Math.round(event.pressure * 1000) / 1000;
+        }
+        
+        // Legacy touch events expose force on the touch point
+        const touch = event.touches?.[0] || event.changedTouches?.[0];
+        if (touch && typeof touch.force === 'number' && touch.force > 0) {
+            return Math.round(touch.force * 1000) / 1000;
+        }
+        
+        return 0.5;
+    }
+    
+    finishStroke(path) {
+        const stroke = this.currentStroke;
+        this.currentStroke = null;
+        if (!stroke || stroke.points.length === 0) return null;
+        
+        stroke.endTime = Date.now();
+        stroke.duration = stroke.endTime - stroke.startTime;
+        stroke.pressure = stroke.points.reduce((sum, p) => sum + p.pressure, 0) / stroke.points.length;
+        stroke.index = this.strokes.length;
+        
+        // Link the Fabric path to its point data; width and color let the path be rebuilt later
+        if (path) {
+            path.strokeId = stroke.id;
+            this.preparePath(path);
+            this.paths.set(stroke.id, path);
+            stroke.width = path.strokeWidth;
+            stroke.color = path.stroke;
+        }
+        
+        this.strokes.push(stroke);
+        this.record({ type: 'add', strokes: [stroke], index: stroke.index });
+        
+        if (typeof this.onStrokeCaptured === 'function') {
+            this.onStrokeCaptured(stroke);
+        }
+        
+        return stroke;
+    }
+    
+    getStrokes() {
+        return this.strokes.slice();
+    }
+    
+    getStrokeIds() {
+        return new Set(this.strokes.map(stroke => stroke.id));
+    }
+    
     onPathCreated(e) {
-        // Save state after each path is created
-        this.saveState();
+        // Capture point data for the finished stroke (recorded as an 'add' operation)
+        this.finishStroke(e.path);
+        this.notifyChange();
         
         // Reset brush size to original
         if (this.canvas.freeDrawingBrush) {
             this.canvas.freeDrawingBrush.width = this.brushSize;
         }
         
-        console.log('🎨 Path created and state saved');
+        console.log('🎨 Path created');
     }
     
     setBrushSize(size) {
@@ -246,63 +349,198 @@ class DrawingCanvas {
     }
     
     clear() {
+        // Undoable: the cleared strokes come back on undo
+        if (!this.canvas || this.strokes.length === 0) return;
+        
+        const strokes = this.strokes.slice();
+        this.removeAll();
+        this.record({ type: 'clear', strokes, index: 0 });
+        console.log('🧹 Canvas cleared');
+    }
+    
+    eraseStroke(strokeId) {
+        const index = this.strokes.findIndex(stroke => stroke.id === strokeId);
+        if (index < 0) return;
+        
+        const [stroke] = this.strokes.splice(index, 1);
+        this.canvas.remove(this.getPath(stroke));
+        this.record({ type: 'erase', strokes: [stroke], index });
+        this.notifyChange();
+        
+        console.log(`🩹 Erased stroke ${index + 1}`);
+    }
+    
+    setEraserMode(enabled) {
+        this.eraserMode = !!enabled;
         if (this.canvas) {
-            this.canvas.clear();
-            this.canvas.backgroundColor = '#ffffff';
-            this.canvas.renderAll();
-            this.saveState();
-            console.log('🧹 Canvas cleared');
+            this.canvas.isDrawingMode = !this.eraserMode;
+            this.canvas.defaultCursor = this.eraserMode ? 'pointer' : 'default';
         }
+        console.log(`🩹 Eraser ${this.eraserMode ? 'on' : 'off'}`);
     }
     
     undo() {
-        if (this.historyIndex > 0) {
-            this.historyIndex--;
-            this.loadState(this.history[this.historyIndex]);
-            this.updateUndoRedoButtons();
-            console.log('↶ Undo performed');
-        }
+        const operation = this.undoStack.pop();
+        if (!operation) return;
+        
+        this.revert(operation);
+        this.redoStack.push(operation);
+        this.updateUndoRedoButtons();
+        this.notifyChange();
+        console.log(`↶ Undid ${operation.type}`);
     }
     
     redo() {
-        if (this.historyIndex < this.history.length - 1) {
-            this.historyIndex++;
-            this.loadState(this.history[this.historyIndex]);
-            this.updateUndoRedoButtons();
-            console.log('↷ Redo performed');
+        const operation = this.redoStack.pop();
+        if (!operation) return;
+        
+        this.apply(operation);
+        this.undoStack.push(operation);
+        this.updateUndoRedoButtons();
+        this.notifyChange();
+        console.log(`↷ Redid ${operation.type}`);
+    }
+    
+    record(operation) {
+        // A new action discards anything that could have been redone
+        this.undoStack.push(operation);
+        this.redoStack = [];
+        this.updateUndoRedoButtons();
+    }
+    
+    apply(operation) {
+        switch (operation.type) {
+            case 'add':
+                this.insertStrokes(operation.strokes, operation.index);
+                break;
+            case 'erase':
+                this.removeStrokes(operation.strokes);
+                break;
+            case 'clear':
+                this.removeAll();
+                break;
         }
     }
     
-    saveState() {
-        if (!this.canvas) return;
+    revert(operation) {
+        switch (operation.type) {
+            case 'add':
+                this.removeStrokes(operation.strokes);
+                break;
+            case 'erase':
+            case 'clear':
+                this.insertStrokes(operation.strokes, operation.index);
+                break;
+        }
+    }
+    
+    insertStrokes(strokes, index) {
+        // Put strokes back in their original place, so stroke order and layering survive undo
+        const at = Math.min(index, this.strokes.length);
+        this.strokes.splice(at, 0, ...strokes);
+        strokes.forEach((stroke, i) => this.canvas.insertAt(this.getPath(stroke), at + i));
+        this.canvas.renderAll();
+    }
+    
+    removeStrokes(strokes) {
+        const ids = new Set(strokes.map(stroke => stroke.id));
+        this.strokes = this.strokes.filter(stroke => !ids.has(stroke.id));
+        strokes.forEach(stroke => this.canvas.remove(this.getPath(stroke)));
+    }
+    
+    removeAll() {
+        this.canvas.clear();
+        this.canvas.backgroundColor = this.backgroundColor;
+        this.canvas.renderAll();
+        this.strokes = [];
+        this.currentStroke = null;
+    }
+    
+    getPath(stroke) {
+        // The path drawn this session, or one rebuilt from the stroke's points
+        if (!this.paths.has(stroke.id)) {
+            const brush = this.canvas.freeDrawingBrush;
+            const points = (stroke.points || []).map(p => new fabric.Point(p.x, p.y));
+            if (points.length === 1) {
+                points.push(new fabric.Point(points[0].x + 0.1, points[0].y + 0.1));
+            }
+            
+            const path = brush.createPath(brush.convertPointsToSVGPath(points));
+            path.set({
+                stroke: stroke.color || this.brushColor,
+                strokeWidth: stroke.width || stroke.brushSize || this.brushSize
+            });
+            path.strokeId = stroke.id;
+            this.preparePath(path);
+            this.paths.set(stroke.id, path);
+        }
         
-        const state = JSON.stringify(this.canvas.toJSON());
+        return this.paths.get(stroke.id);
+    }
+    
+    preparePath(path) {
+        // Ink can be hit by the eraser but never selected or moved
+        path.set({
+            selectable: false,
+            hasControls: false,
+            perPixelTargetFind: true
+        });
+    }
+    
+    notifyChange() {
+        if (typeof this.onChange === 'function') {
+            this.onChange();
+        }
+    }
+    
+    getDrawing() {
+        // Strokes and history are referenced by id; their point data lives in the session results
+        if (!this.canvas) return null;
         
-        // Remove any states after current index (for branching undo)
-        this.history = this.history.slice(0, this.historyIndex + 1);
+        const serialize = (operation) => ({
+            type: operation.type,
+            strokeIds: operation.strokes.map(stroke => stroke.id),
+            index: operation.index
+        });
         
-        // Add new state
-        this.history.push(state);
-        this.historyIndex = this.history.length - 1;
+        return {
+            strokeIds: this.strokes.map(stroke => stroke.id),
+            history: {
+                undo: this.undoStack.map(serialize),
+                redo: this.redoStack.map(serialize)
+            }
+        };
+    }
+    
+    loadDrawing(drawing, strokes = []) {
+        // Replace the canvas contents with a character's drawing and its undo/redo history
+        if (!this.canvas) return;
         
-        // Limit history size
-        if (this.history.length > 50) {
-            this.history.shift();
-            this.historyIndex--;
-        }
+        this.removeAll();
+        this.undoStack = [];
+        this.redoStack = [];
         
+        const byId = new Map(strokes.map(stroke => [stroke.id, stroke]));
+        const resolve = (operation) => {
+            const found = (operation.strokeIds || []).map(id => byId.get(id)).filter(Boolean);
+            return found.length > 0 ? { type: operation.type, strokes: found, index: operation.index || 0 } : null;
+        };
+        
+        this.insertStrokes((drawing?.strokeIds || []).map(id => byId.get(id)).filter(Boolean), 0);
+        this.undoStack = (drawing?.history?.undo || []).map(resolve).filter(Boolean);
+        this.redoStack = (drawing?.history?.redo || []).map(resolve).filter(Boolean);
         this.updateUndoRedoButtons();
-    }
-    
-    loadState(state) {
-        if (!this.canvas || !state) return;
         
-        try {
-            this.canvas.loadFromJSON(state, () => {
-                this.canvas.renderAll();
-            });
-        } catch (error) {
-            console.error('Failed to load canvas state:', error);
+        // Cached paths of other drawings are never shown again from here
+        const referenced = new Set([this.strokes, ...[...this.undoStack, ...this.redoStack].map(operation => operation.strokes)]
+            .flat()
+            .map(stroke => stroke.id));
+        this.paths.forEach((path, id) => {
+            if (!referenced.has(id)) this.paths.delete(id);
+        });
+        
+        if (this.strokes.length > 0) {
+            console.log(`🖼️ Drawing restored with ${this.strokes.length} strokes`);
         }
     }
     
@@ -311,24 +549,63 @@ class DrawingCanvas {
         const redoBtn = document.getElementById('redo-btn');
         
         if (undoBtn) {
-            undoBtn.disabled = this.historyIndex <= 0;
+            undoBtn.disabled = this.undoStack.length === 0;
             undoBtn.classList.toggle('undo', !undoBtn.disabled);
         }
         
         if (redoBtn) {
-            redoBtn.disabled = this.historyIndex >= this.history.length - 1;
+            redoBtn.disabled = this.redoStack.length === 0;
             redoBtn.classList.toggle('redo', !redoBtn.disabled);
         }
     }
     
-    exportAsImage(format = 'png') {
+    exportAsImage(format = 'png', attempt = null) {
         if (!this.canvas) return null;
         
+        // An archived attempt is drawn on a scratch canvas, leaving the learner's current drawing alone
+        if (attempt) return this.renderAttemptImage(attempt, format);
+        
+        // Export the ink on plain white paper, without grid or tracing layers
+        const background = this.canvas.backgroundColor;
         try {
+            this.canvas.backgroundColor = '#ffffff';
             return this.canvas.toDataURL(`image/${format}`, 1.0);
         } catch (error) {
             console.error('Failed to export canvas as image:', error);
             return null;
+        } finally {
+            this.canvas.backgroundColor = background;
+            this.canvas.renderAll();
+        }
+    }
+    
+    renderAttemptImage(attempt, format = 'png') {
+        // attempt: an AttemptArchive record, with strokes as path data
+        const scratch = new fabric.StaticCanvas(null, {
+            width: Number(attempt.width) || 600,
+            height: Number(attempt.height) || 600,
+            backgroundColor: '#ffffff',
+            enableRetinaScaling: false
+        });
+        
+        try {
+            attempt.strokes
+                .filter(stroke => stroke.d)
+                .forEach(stroke => {
+                    scratch.add(new fabric.Path(stroke.d, {
+                        stroke: AttemptArchive.escapeColor(stroke.c),
+                        strokeWidth: Number(stroke.w) || this.brushSize,
+                        strokeLineCap: 'round',
+                        strokeLineJoin: 'round',
+                        fill: null
+                    }));
+                });
+            return scratch.toDataURL({ format });
+        } catch (error) {
+            console.error('Failed to render attempt as image:', error);
+            return null;
+        } finally {
+            scratch.dispose();
         }
     }
     
@@ -342,6 +619,34 @@ class DrawingCanvas {
         };
     }
     
+    createLayer(name, options = {}) {
+        // Extra <canvas> stacked inside the Fabric wrapper, outside the drawing history
+        if (!this.canvas) return null;
+        
+        const wrapper = this.canvas.wrapperEl;
+        const width = this.canvas.getWidth();
+        const height = this.canvas.getHeight();
+        const ratio = window.devicePixelRatio || 1;
+        
+        const layer = document.createElement('canvas');
+        layer.className = `canvas-layer canvas-layer-${name}`;
+        layer.width = width * ratio;
+        layer.height = height * ratio;
+        layer.getContext('2d').scale(ratio, ratio);
+        
+        if (options.below) {
+            // The ink canvas has to be see-through for a layer beneath it
+            this.backgroundColor = '';
+            this.canvas.backgroundColor = '';
+            this.canvas.renderAll();
+            wrapper.insertBefore(layer, wrapper.firstChild);
+        } else {
+            wrapper.appendChild(layer);
+        }
+        
+        return layer;
+    }
+    
     resize(width, height) {
         if (this.canvas) {
             this.canvas.setWidth(width);
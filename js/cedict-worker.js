@@ -0,0 +1,17 @@
+// CC-CEDICT Import Worker
+// Parses a CC-CEDICT file off the main thread and writes it to IndexedDB
+
+importScripts('pinyin.js', 'cedict.js');
+
+self.onmessage = async (event) => {
+    try {
+        const text = await event.data.file.text();
+        const info = await CedictDictionary.importText(text, event.data.name, (processed, total) => {
+            self.postMessage({ type: 'progress', processed, total });
+        });
+        
+        self.postMessage({ type: 'done', info });
+    } catch (error) {
+        self.postMessage({ type: 'error', message: error.message });
+    }
+};
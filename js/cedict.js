@@ -0,0 +1,297 @@
+// CC-CEDICT Dictionary
+// Imports a CC-CEDICT text file into IndexedDB and answers offline lookups
+
+class CedictDictionary {
+    static DB_NAME = 'chinese-writing-dictionary';
+    static DB_VERSION = 1;
+    static BATCH_SIZE = 2000; // Lines parsed or entries written between import progress updates
+    static MAX_EXAMPLES = 3;
+    
+    static openDatabase() {
+        // One connection per context (page or worker), opened on first use
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(this.DB_NAME, this.DB_VERSION);
+                
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    const entries = db.createObjectStore('entries', { keyPath: 'id', autoIncrement: true });
+                    entries.createIndex('simplified', 'simplified');
+                    entries.createIndex('traditional', 'traditional');
+                    entries.createIndex('characters', 'characters', { multiEntry: true });
+                    entries.createIndex('pinyinPlain', 'pinyinPlain');
+                    entries.createIndex('length', 'length');
+                    db.createObjectStore('meta', { keyPath: 'key' });
+                };
+                
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        
+        return this.dbPromise;
+    }
+    
+    static import(file, onProgress = null) {
+        // Parsing and writing happen in a worker so the page stays responsive
+        return new Promise((resolve, reject) => {
+            const worker = new Worker('js/cedict-worker.js');
+            
+            worker.onmessage = (event) => {
+                const message = event.data;
+                switch (message.type) {
+                    case 'progress':
+                        if (onProgress) onProgress(message.processed, message.total);
+                        break;
+                    case 'done':
+                        worker.terminate();
+                        this.singles = null;
+                        console.log(`📖 Imported ${message.info.entries} CC-CEDICT entries`);
+                        resolve(message.info);
+                        break;
+                    case 'error':
+                        worker.terminate();
+                        reject(new Error(message.message));
+                        break;
+                }
+            };
+            
+            worker.onerror = (event) => {
+                worker.terminate();
+                reject(new Error(event.message || 'Dictionary import failed'));
+            };
+            
+            worker.postMessage({ file, name: file.name });
+        });
+    }
+    
+    static async importText(text, name, onProgress = null) {
+        // Runs inside the import worker: parse the whole file first, so a file that isn't
+        // CC-CEDICT leaves the stored copy alone, then replace it in one transaction
+        const lines = text.split('\n');
+        const entries = [];
+        
+        for (let i = 0; i < lines.length; i++) {
+            const entry = this.parseLine(lines[i].trim());
+            if (entry) entries.push(entry);
+            
+            if (onProgress && (i % this.BATCH_SIZE === 0 || i === lines.length - 1)) {
+                onProgress(i + 1, lines.length + entries.length);
+            }
+        }
+        
+        if (entries.length === 0) {
+            throw new Error('No CC-CEDICT entries found in this file');
+        }
+        
+        const info = {
+            key: 'info',
+            name: name || 'cedict.txt',
+            entries: entries.length,
+            importedAt: new Date().toISOString()
+        };
+        
+        const db = await this.openDatabase();
+        await this.transaction(db, ['entries', 'meta'], 'readwrite', (stores) => {
+            stores.entries.clear();
+            stores.meta.clear();
+            
+            let written = 0;
+            entries.forEach(entry => {
+                stores.entries.add(entry).onsuccess = () => {
+                    if (onProgress && ++written % this.BATCH_SIZE === 0) {
+                        onProgress(lines.length + written, lines.length + entries.length);
+                    }
+                };
+            });
+            stores.meta.put(info);
+        });
+        this.singles = null;
+        
+        return info;
+    }
+    
+    static parseLine(line) {
+        // "傳統 传统 [chuan2 tong3] /tradition/traditional/"
+        if (!line || line.startsWith('#')) return null;
+        
+        const match = line.match(/^(\S+)\s+(\S+)\s+\[([^\]]*)\]\s+\/(.*)\/$/);
+        if (!match) return null;
+        
+        const [, traditional, simplified, numbered, definitions] = match;
+        return {
+            traditional,
+            simplified,
+            pinyinNumbered: numbered,
+            pinyin: PinyinConverter.numberedToToneMarks(numbered),
+            pinyinPlain: PinyinConverter.stripTones(numbered).replace(/[^a-z]/g, ''),
+            definitions: definitions.split('/').filter(d => d),
+            characters: [...new Set([...simplified, ...traditional])],
+            length: [...simplified].length
+        };
+    }
+    
+    static async getInfo() {
+        try {
+            const db = await this.openDatabase();
+            const info = await this.request(db.transaction('meta').objectStore('meta').get('info'));
+            return info || null;
+        } catch (error) {
+            console.warn('⚠️ CC-CEDICT store unavailable:', error);
+            return null;
+        }
+    }
+    
+    static async clear() {
+        const db = await this.openDatabase();
+        await this.transaction(db, ['entries', 'meta'], 'readwrite', (stores) => {
+            stores.entries.clear();
+            stores.meta.clear();
+        });
+        this.singles = null;
+    }
+    
+    static getSingleCharacters() {
+        // Single-character entries for English searches, read once rather than on every keystroke
+        if (!this.singles) {
+            this.singles = this.openDatabase()
+                .then(db => this.request(db.transaction('entries').objectStore('entries').index('length').getAll(1)));
+            this.singles.catch(() => {
+                this.singles = null;
+            });
+        }
+        return this.singles;
+    }
+    
+    static async getEntries(word) {
+        // Entries whose simplified or traditional form is exactly the given word
+        const db = await this.openDatabase();
+        const store = db.transaction('entries').objectStore('entries');
+        const [simplified, traditional] = await Promise.all([
+            this.request(store.index('simplified').getAll(word)),
+            this.request(store.index('traditional').getAll(word))
+        ]);
+        
+        const seen = new Set();
+        return [...simplified, ...traditional].filter(entry => {
+            if (seen.has(entry.id)) return false;
+            seen.add(entry.id);
+            return true;
+        });
+    }
+    
+    static async lookupCharacter(character) {
+        const entries = await this.getEntries(character);
+        if (entries.length === 0) return null;
+        
+        const entry = this.toCharacterEntry(character, entries);
+        entry.examples = await this.getExamples(character);
+        return entry;
+    }
+    
+    static toCharacterEntry(character, entries) {
+        // Merge every reading of the character into one record in the characters.json shape
+        const readings = [...new Set(entries.map(entry => entry.pinyin))];
+        const definitions = [...new Set(entries.flatMap(entry => entry.definitions))];
+        
+        return {
+            character,
+            pinyin: readings.join(', '),
+            tone: PinyinConverter.getTone(entries[0].pinyinNumbered.split(' ').pop()),
+            meaning: definitions.slice(0, 6).join('; '),
+            definitions,
+            simplified: entries[0].simplified,
+            traditional: entries[0].traditional,
+            source: 'cedict'
+        };
+    }
+    
+    static async getExamples(character) {
+        // Shortest words containing the character
+        const db = await this.openDatabase();
+        const store = db.transaction('entries').objectStore('entries');
+        const words = await this.request(store.index('characters').getAll(character, 200));
+        
+        return words
+            .filter(entry => entry.length > 1)
+            .sort((a, b) => a.length - b.length)
+            .slice(0, this.MAX_EXAMPLES)
+            .map(entry => ({
+                chinese: entry.simplified.includes(character) ? entry.simplified : entry.traditional,
+                pinyin: entry.pinyin,
+                english: entry.definitions.slice(0, 2).join(', ')
+            }));
+    }
+    
+    static async search(query, maxResults = 10) {
+        const trimmed = query.trim();
+        if (!trimmed) return [];
+        
+        // Chinese input: exact word or character
+        if (/[\u3400-\u9fff]/.test(trimmed)) {
+            const entries = await this.getEntries(trimmed);
+            return entries.length > 0 ? [this.toCharacterEntry(trimmed, entries)] : [];
+        }
+        
+        const db = await this.openDatabase();
+        const store = db.transaction('entries').objectStore('entries');
+        
+        // Pinyin prefix on single characters, e.g. "ting" or "ting2"
+        const plain = PinyinConverter.stripTones(trimmed).replace(/[^a-z]/g, '');
+        const byPinyin = plain
+            ? await this.request(store.index('pinyinPlain').getAll(IDBKeyRange.bound(plain, plain + '\uffff'), 500))
+            : [];
+        
+        // English definitions of single characters
+        const lowerQuery = trimmed.toLowerCase();
+        const singles = await this.getSingleCharacters();
+        const byMeaning = singles.filter(entry =>
+            entry.definitions.some(definition => definition.toLowerCase().includes(lowerQuery)));
+        
+        const grouped = new Map();
+        [...byPinyin.filter(entry => entry.length === 1), ...byMeaning].forEach(entry => {
+            if (!grouped.has(entry.simplified)) grouped.set(entry.simplified, []);
+            grouped.get(entry.simplified).push(entry);
+        });
+        
+        return Array.from(grouped.entries())
+            .slice(0, maxResults)
+            .map(([character, entries]) => this.toCharacterEntry(character, entries));
+    }
+    
+    static asSource(info) {
+        // Dictionary source for CharacterManager, below the bundled data
+        return {
+            id: 'cedict',
+            name: `CC-CEDICT (${info.entries} entries)`,
+            priority: 50,
+            lookup: (character) => this.lookupCharacter(character),
+            search: (query, maxResults) => this.search(query, maxResults)
+        };
+    }
+    
+    static transaction(db, storeNames, mode, callback) {
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(storeNames, mode);
+            const stores = {};
+            storeNames.forEach(name => {
+                stores[name] = tx.objectStore(name);
+            });
+            
+            callback(stores);
+            tx.oncomplete = () => resolve();
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    }
+    
+    static request(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+}
+
+// Export for global use (also loaded by the CC-CEDICT import worker)
+self.CedictDictionary = CedictDictionary;
@@ -2,142 +2,436 @@
 // Handles character metadata, stroke order, and practice data
 
 class CharacterManager {
-    static async loadCharacterData(characters) {
-        const data = {};
+    // Dictionary sources, highest priority first. Lookups take the first source that knows the character.
+    static sources = [];
+    
+    static registerSource(source) {
+        // { id, name, priority, url } for a JSON file, { id, name, priority, characters } for in-memory data,
+        // or { id, name, priority, lookup, search } for an async store (lookups are cached in the index)
+        const entry = {
+            id: source.id,
+            name: source.name || source.id,
+            priority: source.priority || 0,
+            url: source.url || null,
+            index: source.characters ? this.buildIndex(source.characters) : (source.lookup ? new Map() : null),
+            resolve: source.lookup || null,
+            search: source.search || null,
+            loading: null
+        };
         
-        // Load character data (in a real app, this might come from an API or database)
-        const characterDatabase = CharacterManager.getCharacterDatabase();
+        this.sources = this.sources.filter(s => s.id !== entry.id);
+        this.sources.push(entry);
+        this.sources.sort((a, b) => b.priority - a.priority);
         
-        for (const char of characters) {
-            data[char] = characterDatabase[char] || {
-                character: char,
-                pinyin: 'unknown',
-                meaning: 'Unknown meaning',
-                strokes: 0,
-                radical: '',
-                hskLevel: 0
+        console.log(`📖 Registered dictionary source: ${entry.name} (priority ${entry.priority})`);
+        return entry;
+    }
+    
+    static removeSource(id) {
+        this.sources = this.sources.filter(s => s.id !== id);
+    }
+    
+    static async loadDatabase() {
+        // Each file is fetched and indexed once, however many times this is called
+        await Promise.all(this.sources.map(source => this.loadSource(source)));
+    }
+    
+    static loadSource(source) {
+        if (source.index) return Promise.resolve(source.index);
+        
+        if (!source.loading) {
+            source.loading = (async () => {
+                try {
+                    const response = await fetch(source.url);
+                    if (!response.ok) {
+                        throw new Error(`HTTP ${response.status}`);
+                    }
+                    
+                    const json = await response.json();
+                    source.index = this.buildIndex(json.characters || json);
+                    console.log(`📚 Indexed ${source.index.size} characters from ${source.name}`);
+                } catch (error) {
+                    console.warn(`⚠️ Dictionary source ${source.name} unavailable:`, error);
+                    source.index = new Map();
+                }
+                return source.index;
+            })();
+        }
+        
+        return source.loading;
+    }
+    
+    static buildIndex(characters) {
+        // Accepts { char: entry } or [entry, ...]
+        const entries = Array.isArray(characters)
+            ? characters.map(entry => [entry.character, entry])
+            : Object.entries(characters || {});
+        
+        const index = new Map();
+        for (const [char, entry] of entries) {
+            if (!char || !entry) continue;
+            index.set(char, this.normalizeEntry(char, entry));
+        }
+        
+        // Traditional forms resolve to their own glyph, stroke count and examples
+        const toTraditional = new Map();
+        index.forEach((entry, char) => {
+            if (entry.traditional) {
+                toTraditional.set(char, entry.traditional);
+            }
+        });
+        toTraditional.forEach((traditional, char) => {
+            if (traditional !== char && !index.has(traditional)) {
+                index.set(traditional, this.deriveTraditional(index.get(char), toTraditional));
+            }
+        });
+        
+        return index;
+    }
+    
+    static deriveTraditional(entry, toTraditional) {
+        // Examples are converted only when every character's traditional form is known
+        const convert = (text) => [...text].every(c => toTraditional.has(c))
+            ? [...text].map(c => toTraditional.get(c)).join('')
+            : text;
+        
+        return {
+            ...entry,
+            character: entry.traditional,
+            simplified: entry.character,
+            traditional: entry.traditional,
+            strokes: entry.traditionalStrokes || 0,
+            radical: entry.traditionalRadical || '',
+            components: entry.traditionalComponents || [], // Simplified components don't carry over
+            strokeOrder: [],
+            examples: entry.examples.map(example => ({ ...example, chinese: convert(example.chinese) }))
+        };
+    }
+    
+    static normalizeEntry(char, entry) {
+        return {
+            ...entry,
+            character: char,
+            pinyin: entry.pinyin || '',
+            meaning: entry.meaning || '',
+            strokes: entry.strokes || 0,
+            radical: entry.radical || '',
+            hskLevel: entry.hskLevel || 0,
+            components: entry.components || [],
+            examples: (entry.examples || []).map(example => this.parseExample(example))
+        };
+    }
+    
+    static parseExample(example) {
+        if (typeof example !== 'string') {
+            return {
+                chinese: example.chinese || '',
+                pinyin: example.pinyin || '',
+                english: example.english || ''
             };
         }
         
+        // Legacy "停车 (tíngchē) - park a car" strings
+        const match = example.match(/^(.+?)\s*\((.+?)\)\s*-\s*(.+)$/);
+        return match
+            ? { chinese: match[1], pinyin: match[2], english: match[3] }
+            : { chinese: example, pinyin: '', english: '' };
+    }
+    
+    static lookup(character) {
+        for (const source of this.sources) {
+            const entry = source.index?.get(character);
+            if (entry) return entry;
+        }
+        return null;
+    }
+    
+    static getVariants(character) {
+        // The character in both scripts (one entry when they are the same)
+        const entry = this.lookup(character);
+        return [...new Set([character, entry?.simplified, entry?.traditional].filter(Boolean))];
+    }
+    
+    static async toScript(text, script) {
+        // Convert a character or word to 'simp' or 'trad'; unknown characters are kept as-is
+        if ([...text].length > 1) {
+            const word = await this.resolve(text);
+            const target = script === 'trad' ? word?.traditional : word?.simplified;
+            if (target) return target;
+        }
+        
+        const converted = [];
+        for (const char of text) {
+            const entry = await this.resolve(char);
+            const target = script === 'trad' ? entry?.traditional : entry?.simplified;
+            converted.push(target || char);
+        }
+        return converted.join('');
+    }
+    
+    static async convertCharacters(characters, script) {
+        await this.loadDatabase();
+        
+        const converted = [];
+        for (const text of characters) {
+            converted.push(await this.toScript(text, script));
+        }
+        
+        // Two inputs can collapse into one form (e.g. 台 and 臺 in simplified)
+        return [...new Set(converted)];
+    }
+    
+    static async resolve(character) {
+        // Indexed sources first, then async stores in priority order
+        const known = this.lookup(character);
+        if (known) return known;
+        
+        for (const source of this.sources) {
+            if (!source.resolve) continue;
+            
+            try {
+                const entry = await source.resolve(character);
+                if (entry) {
+                    const normalized = this.normalizeEntry(character, entry);
+                    source.index.set(character, normalized);
+                    return normalized;
+                }
+            } catch (error) {
+                console.warn(`⚠️ Lookup in ${source.name} failed:`, error);
+            }
+        }
+        
+        return null;
+    }
+    
+    static getAllCharacters() {
+        // Every known character, resolved by priority
+        const seen = new Map();
+        for (const source of this.sources) {
+            for (const [char, entry] of source.index || []) {
+                if (!seen.has(char)) {
+                    seen.set(char, entry);
+                }
+            }
+        }
+        return seen;
+    }
+    
+    static async parseDictionaryFile(file) {
+        // User-supplied JSON in the same format as data/characters.json
+        const json = JSON.parse(await file.text());
+        const characters = json.characters || json;
+        
+        if (this.buildIndex(characters).size === 0) {
+            throw new Error('No character entries found in file');
+        }
+        return characters;
+    }
+    
+    static async loadCharacterData(characters) {
+        await this.loadDatabase();
+        
+        const data = {};
+        for (const char of characters) {
+            // Words also load the characters they are made of
+            const glyphs = [...char];
+            const entries = glyphs.length > 1 ? [...glyphs, char] : [char];
+            
+            for (const entry of entries) {
+                if (data[entry]) continue;
+                
+                data[entry] = (entry === char && glyphs.length > 1
+                    ? await this.resolveWord(entry)
+                    : await this.resolve(entry)) || {
+                    character: entry,
+                    pinyin: 'unknown',
+                    meaning: 'Unknown meaning',
+                    strokes: 0,
+                    radical: '',
+                    hskLevel: 0,
+                    components: [],
+                    examples: []
+                };
+            }
+        }
+        
         console.log(`📚 Loaded data for ${characters.length} characters`);
         return data;
     }
     
-    static getCharacterDatabase() {
-        // Character database with metadata
-        // In production, this would come from a proper database or API
-        return {
-            '停': {
-                character: '停',
-                pinyin: 'tíng',
-                meaning: 'stop, halt, park',
-                strokes: 11,
-                radical: '亻',
-                hskLevel: 3,
-                components: ['亻', '亭'],
-                strokeOrder: ['丿', '丨', '丶', '一', '丨', '𠃍', '一', '丨', '丨', '𠃍', '一'],
-                examples: ['停车 (tíngchē) - park a car', '停止 (tíngzhǐ) - stop']
-            },
-            '锁': {
-                character: '锁',
-                pinyin: 'suǒ',
-                meaning: 'lock, chain',
-                strokes: 12,
-                radical: '钅',
-                hskLevel: 3,
-                components: ['钅', '贝'],
-                examples: ['上锁 (shàngsuǒ) - lock up', '锁门 (suǒmén) - lock the door']
-            },
-            '偷': {
-                character: '偷',
-                pinyin: 'tōu',
-                meaning: 'steal, secretly',
-                strokes: 11,
-                radical: '亻',
-                hskLevel: 3,
-                components: ['亻', '俞'],
-                examples: ['偷东西 (tōu dōngxi) - steal things', '偷偷 (tōutōu) - secretly']
-            },
-            '担': {
-                character: '担',
-                pinyin: 'dān',
-                meaning: 'carry, shoulder, burden',
-                strokes: 8,
-                radical: '扌',
-                hskLevel: 3,
-                components: ['扌', '旦'],
-                examples: ['担心 (dānxīn) - worry', '担负 (dānfù) - bear, shoulder']
-            },
-            '台': {
-                character: '台',
-                pinyin: 'tái',
-                meaning: 'platform, stage, Taiwan',
-                strokes: 5,
-                radical: '口',
-                hskLevel: 2,
-                components: ['厶', '口'],
-                examples: ['台湾 (Táiwān) - Taiwan', '舞台 (wǔtái) - stage']
-            },
-            '演': {
-                character: '演',
-                pinyin: 'yǎn',
-                meaning: 'perform, act,演',
-                strokes: 14,
-                radical: '氵',
-                hskLevel: 3,
-                components: ['氵', '寅'],
-                examples: ['演出 (yǎnchū) - performance', '演员 (yǎnyuán) - actor']
-            },
-            '唱': {
-                character: '唱',
-                pinyin: 'chàng',
-                meaning: 'sing, chant',
-                strokes: 11,
-                radical: '口',
-                hskLevel: 3,
-                components: ['口', '昌'],
-                examples: ['唱歌 (chànggē) - sing songs', '合唱 (héchàng) - chorus']
-            },
-            '歌': {
-                character: '歌',
-                pinyin: 'gē',
-                meaning: 'song, sing',
-                strokes: 14,
-                radical: '欠',
-                hskLevel: 2,
-                components: ['可', '欠'],
-                examples: ['唱歌 (chànggē) - sing songs', '歌手 (gēshǒu) - singer']
+    static async resolveWord(word) {
+        const glyphs = [...word];
+        const parts = await Promise.all(glyphs.map(c => this.resolve(c)));
+        const strokes = parts.reduce((sum, part) => sum + (part?.strokes || 0), 0);
+        
+        // A dictionary entry for the whole word (user file or CC-CEDICT)
+        const entry = await this.resolve(word);
+        if (entry) {
+            return { ...entry, strokes: entry.strokes || strokes, isWord: true, characters: glyphs };
+        }
+        
+        // Otherwise the word as it appears in its characters' examples, in either script
+        const simplified = parts.map((part, i) => part?.simplified || glyphs[i]).join('');
+        const example = parts
+            .flatMap(part => part?.examples || [])
+            .find(ex => ex.chinese === word || ex.chinese === simplified);
+        
+        if (!example && parts.every(part => !part)) return null;
+        
+        return this.normalizeEntry(word, {
+            pinyin: example?.pinyin || parts.map(part => part?.pinyin || '?').join(' '),
+            meaning: example?.english || '',
+            strokes,
+            hskLevel: Math.max(...parts.map(part => part?.hskLevel || 0)),
+            simplified,
+            traditional: parts.map((part, i) => part?.traditional || glyphs[i]).join(''),
+            isWord: true,
+            characters: glyphs
+        });
+    }
+    
+    static async loadStrokeData(url = 'data/stroke-order.json') {
+        // Reference stroke medians are loaded once and cached
+        if (this.strokeData) return this.strokeData;
+        
+        try {
+            const response = await fetch(url);
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
             }
-        };
+            
+            const json = await response.json();
+            this.strokeData = json.characters || {};
+            console.log(`🖋️ Loaded stroke data for ${Object.keys(this.strokeData).length} characters`);
+        } catch (error) {
+            console.warn('⚠️ Stroke data unavailable, grading disabled:', error);
+            this.strokeData = {};
+        }
+        
+        return this.strokeData;
+    }
+    
+    static getStrokeMedians(character) {
+        return this.strokeData?.[character]?.medians || [];
     }
     
     static getStrokeOrder(character) {
-        const data = this.getCharacterDatabase()[character];
+        const data = this.lookup(character);
         return data?.strokeOrder || [];
     }
     
     static getExamples(character) {
-        const data = this.getCharacterDatabase()[character];
+        const data = this.lookup(character);
         return data?.examples || [];
     }
     
+    static async loadComponentData(url = 'data/components.json') {
+        // Radical names and meanings, plus decompositions and meanings of non-practice components; loaded once
+        if (this.componentData) return this.componentData;
+        
+        try {
+            const response = await fetch(url);
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            
+            const json = await response.json();
+            this.componentData = {
+                radicals: json.radicals || {},
+                decompositions: json.decompositions || {},
+                meanings: json.meanings || {}
+            };
+            console.log(`🧩 Loaded ${Object.keys(this.componentData.radicals).length} radicals`);
+        } catch (error) {
+            console.warn('⚠️ Component data unavailable:', error);
+            this.componentData = { radicals: {}, decompositions: {}, meanings: {} };
+        }
+        
+        return this.componentData;
+    }
+    
     static getComponents(character) {
-        const data = this.getCharacterDatabase()[character];
-        return data?.components || [];
+        const data = this.lookup(character);
+        return data?.components?.length > 0
+            ? data.components
+            : this.componentData?.decompositions[character] || [];
     }
     
     static getRadical(character) {
-        const data = this.getCharacterDatabase()[character];
+        const data = this.lookup(character);
         return data?.radical || '';
     }
     
+    static getRadicalInfo(radical) {
+        // { radical, name, meaning, position, form } — position is where the side form sits (left, top, ...);
+        // form is its standalone character (亻 → 人)
+        const info = this.componentData?.radicals[radical];
+        return info ? { radical, ...info } : null;
+    }
+    
+    static describeComponent(part) {
+        const data = this.lookup(part);
+        const info = this.getRadicalInfo(part);
+        return {
+            character: part,
+            pinyin: data?.pinyin || '',
+            meaning: data?.meaning || info?.meaning || this.componentData?.meanings[part] || '',
+            name: info?.name || ''
+        };
+    }
+    
+    static decompose(character, seen = new Set()) {
+        // Component tree down to parts with no known decomposition; seen guards against cycles
+        const node = this.describeComponent(character);
+        node.components = [];
+        if (seen.has(character)) return node;
+        
+        const path = new Set(seen).add(character);
+        node.components = this.getComponents(character)
+            .filter(part => part !== character)
+            .map(part => this.decompose(part, path));
+        
+        return node;
+    }
+    
+    static getAllComponents(character, seen = new Set()) {
+        // Every part at any depth of the decomposition
+        for (const part of this.getComponents(character)) {
+            if (seen.has(part) || part === character) continue;
+            seen.add(part);
+            this.getAllComponents(part, seen);
+        }
+        return seen;
+    }
+    
+    static findCharactersWithComponent(component, options = {}) {
+        // Known characters that contain the component at any depth or use it as their radical;
+        // options: { exclude: [characters], script, limit }
+        const exclude = new Set(options.exclude || []);
+        const matches = [];
+        
+        for (const [char, data] of this.getAllCharacters()) {
+            if ([...char].length > 1 || exclude.has(char) || char === component) continue;
+            if (!this.matchesFilters(data, { script: options.script })) continue;
+            
+            if (data.radical === component || this.getAllComponents(char).has(component)) {
+                matches.push(data);
+            }
+        }
+        
+        // Most useful first: lower HSK level, then fewer strokes
+        return matches
+            .sort((a, b) => (a.hskLevel || 99) - (b.hskLevel || 99) || (a.strokes || 99) - (b.strokes || 99))
+            .slice(0, options.limit || 12);
+    }
+    
     static getHSKLevel(character) {
-        const data = this.getCharacterDatabase()[character];
+        const data = this.lookup(character);
         return data?.hskLevel || 0;
     }
     
     static getDifficulty(character) {
-        const data = this.getCharacterDatabase()[character];
+        const data = this.lookup(character);
         if (!data) return 'unknown';
         
         // Determine difficulty based on stroke count and HSK level
@@ -179,8 +473,8 @@ class CharacterManager {
             }
             
             // If same difficulty, sort by stroke count
-            const strokesA = this.getCharacterDatabase()[a]?.strokes || 999;
-            const strokesB = this.getCharacterDatabase()[b]?.strokes || 999;
+            const strokesA = this.lookup(a)?.strokes || 999;
+            const strokesB = this.lookup(b)?.strokes || 999;
             
             return strokesA - strokesB;
         });
@@ -198,7 +492,7 @@ class CharacterManager {
         let totalStrokes = 0;
         
         characters.forEach(char => {
-            const data = this.getCharacterDatabase()[char];
+            const data = this.lookup(char);
             if (data) {
                 const hskLevel = data.hskLevel || 0;
                 if (hskLevel > 0 && hskLevel <= 6) {
@@ -223,52 +517,124 @@ class CharacterManager {
         return stats;
     }
     
-    static searchCharacters(query, maxResults = 10) {
-        const database = this.getCharacterDatabase();
-        const results = [];
+    static async searchCharacters(query, maxResults = 10, filters = {}) {
+        // query: a character, a radical or component (亻), pinyin with tone marks, tone numbers
+        // or no tones (tíng, ting2, ting), or English; filters: { minStrokes, maxStrokes, script }
+        const trimmed = query.trim();
+        const hasFilters = !!(filters.minStrokes || filters.maxStrokes);
+        if (!trimmed && !hasFilters) return [];
         
-        const lowerQuery = query.toLowerCase();
+        const results = [];
         
-        for (const [char, data] of Object.entries(database)) {
-            if (results.length >= maxResults) break;
+        for (const [char, data] of this.getAllCharacters()) {
+            if ([...char].length > 1 || !this.matchesFilters(data, filters)) continue;
             
-            // Search in character, pinyin, and meaning
-            if (char === query || 
-                data.pinyin.toLowerCase().includes(lowerQuery) ||
-                data.meaning.toLowerCase().includes(lowerQuery)) {
+            const relevance = trimmed ? this.calculateRelevance(trimmed, char, data) : 1;
+            if (relevance > 0) {
                 results.push({
                     character: char,
                     ...data,
-                    relevance: this.calculateRelevance(query, char, data)
+                    relevance
                 });
             }
         }
         
-        // Sort by relevance
-        return results.sort((a, b) => b.relevance - a.relevance);
+        // Async stores (e.g. an imported CC-CEDICT) fill in characters the bundled data lacks
+        for (const source of this.sources) {
+            if (!source.search || !trimmed) continue;
+            
+            try {
+                const found = await source.search(trimmed, maxResults);
+                for (const entry of found) {
+                    if (results.some(r => r.character === entry.character)) continue;
+                    
+                    const data = this.normalizeEntry(entry.character, entry);
+                    const relevance = this.calculateRelevance(trimmed, entry.character, data);
+                    if (relevance > 0 && this.matchesFilters(data, filters)) {
+                        results.push({ ...data, relevance });
+                    }
+                }
+            } catch (error) {
+                console.warn(`⚠️ Search in ${source.name} failed:`, error);
+            }
+        }
+        
+        // Sort by relevance, simpler characters first on ties
+        return results
+            .sort((a, b) => b.relevance - a.relevance || (a.strokes || 99) - (b.strokes || 99))
+            .slice(0, maxResults);
+    }
+    
+    static matchesFilters(data, filters) {
+        // Only the requested script's form of characters that differ between scripts
+        if (filters.script === 'simp' && data.simplified && data.simplified !== data.character) return false;
+        if (filters.script === 'trad' && data.traditional && data.traditional !== data.character) return false;
+        
+        const strokes = data.strokes || 0;
+        if (filters.minStrokes && strokes < filters.minStrokes) return false;
+        if (filters.maxStrokes && (!strokes || strokes > filters.maxStrokes)) return false;
+        return true;
     }
     
     static calculateRelevance(query, char, data) {
+        // 0 means no match
         let relevance = 0;
         const lowerQuery = query.toLowerCase();
         
         // Exact character match gets highest relevance
         if (char === query) relevance += 100;
         
-        // Pinyin matches
-        if (data.pinyin.toLowerCase() === lowerQuery) relevance += 80;
-        if (data.pinyin.toLowerCase().startsWith(lowerQuery)) relevance += 60;
-        if (data.pinyin.toLowerCase().includes(lowerQuery)) relevance += 40;
+        // Radical and component matches
+        if (this.validateCharacter(query) && [...query].length === 1 && char !== query) {
+            if (data.radical === query) relevance += 70;
+            if (this.getComponents(char).includes(query)) relevance += 60;
+        }
+        
+        // Pinyin matches, in any of the character's readings
+        relevance += this.matchPinyin(query, data.pinyin);
         
-        // Meaning matches
-        if (data.meaning.toLowerCase().includes(lowerQuery)) relevance += 30;
+        // Meaning matches at the start of a word, whole senses ranking higher
+        const meaning = data.meaning.toLowerCase();
+        const escaped = lowerQuery.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        if (new RegExp(`\\b${escaped}`).test(meaning)) relevance += 30;
+        if (meaning.split(/[,;]\s*/).includes(lowerQuery)) relevance += 20;
         
         // Boost common characters (lower HSK level)
-        if (data.hskLevel && data.hskLevel <= 3) relevance += 10;
+        if (relevance > 0 && data.hskLevel && data.hskLevel <= 3) relevance += 10;
         
         return relevance;
     }
+    
+    static matchPinyin(query, pinyin) {
+        if (!pinyin || !/^[a-zA-Z\u00c0-\u01dc:\s1-5]+$/.test(query)) return 0;
+        
+        // Tone marks or numbers must match exactly; toneless queries match any tone
+        const lower = query.toLowerCase().trim();
+        const plain = PinyinConverter.stripTones(lower).replace(/\s+/g, '');
+        const hasTones = /[1-5]/.test(lower) || plain !== lower.replace(/\s+/g, '');
+        const toned = PinyinConverter.numberedToToneMarks(lower).replace(/\s+/g, '');
+        
+        let best = 0;
+        for (const reading of pinyin.toLowerCase().split(/,\s*/)) {
+            const compact = reading.replace(/\s+/g, '');
+            
+            if (hasTones) {
+                if (compact === toned) best = Math.max(best, 80);
+                else if (compact.startsWith(toned)) best = Math.max(best, 60);
+            } else {
+                const readingPlain = PinyinConverter.stripTones(compact);
+                if (readingPlain === plain) best = Math.max(best, 70);
+                else if (readingPlain.startsWith(plain)) best = Math.max(best, 40);
+            }
+        }
+        
+        return best;
+    }
 }
 
+// Bundled dictionaries; a user-supplied file is registered at runtime with a higher priority
+CharacterManager.registerSource({ id: 'core', name: 'Character database', priority: 200, url: 'data/characters.json' });
+CharacterManager.registerSource({ id: 'hsk', name: 'HSK pack', priority: 100, url: 'data/hsk.json' });
+
 // Export for global use
 window.CharacterManager = CharacterManager;
\ No newline at end of file
@@ -0,0 +1,239 @@
+// Progress Dashboard
+// Long-term progress from the mastery ledger and saved sessions, drawn as inline SVG
+
+class ProgressDashboard {
+    static HEATMAP_WEEKS = 26;
+    static WEEKLY_WEEKS = 12;
+    static HEAT_LEVELS = [1, 5, 10, 20]; // Attempts per day for each darker shade
+    static HEAT_COLORS = ['#ebedf0', '#c6e48b', '#7bc96f', '#239a3b', '#196127'];
+    static CHART_WIDTH = 340;
+    static HSK_LEVELS = [1, 2, 3, 4, 5, 6, 'unknown'];
+    
+    static getActivity(ledger, sessions) {
+        // Attempts and minutes practiced per local day (YYYY-MM-DD)
+        const days = new Map();
+        const day = (key) => {
+            if (!days.has(key)) days.set(key, { attempts: 0, minutes: 0 });
+            return days.get(key);
+        };
+        
+        ledger.forEach(entry => {
+            entry.history.forEach(item => {
+                day(ReviewScheduler.formatDate(new Date(item.date))).attempts++;
+            });
+        });
+        sessions.forEach(session => {
+            if (!session.duration) return;
+            const started = new Date(session.startTime || session.savedAt);
+            day(ReviewScheduler.formatDate(started)).minutes += session.duration / 60000;
+        });
+        
+        return days;
+    }
+    
+    static getStreaks(activity, today = new Date()) {
+        // A day counts once something was graded; today doesn't break the streak until it's over
+        const practiced = new Set(Array.from(activity)
+            .filter(([, day]) => day.attempts > 0)
+            .map(([key]) => key));
+        
+        let current = 0;
+        let date = practiced.has(ReviewScheduler.formatDate(today)) ? today : this.addDays(today, -1);
+        while (practiced.has(ReviewScheduler.formatDate(date))) {
+            current++;
+            date = this.addDays(date, -1);
+        }
+        
+        let best = 0;
+        let run = 0;
+        let previous = null;
+        [...practiced].sort().forEach(key => {
+            const date = this.parseDate(key);
+            run = previous && ReviewScheduler.formatDate(this.addDays(previous, 1)) === key ? run + 1 : 1;
+            best = Math.max(best, run);
+            previous = date;
+        });
+        
+        return { current, best };
+    }
+    
+    static getMasteryCurve(ledger) {
+        // Running total of characters by the day each was first mastered
+        const counts = new Map();
+        ledger
+            .filter(entry => entry.firstMastered && MasteryLedger.isCharacter(entry))
+            .forEach(entry => {
+                const key = ReviewScheduler.formatDate(new Date(entry.firstMastered));
+                counts.set(key, (counts.get(key) || 0) + 1);
+            });
+        
+        let total = 0;
+        return [...counts.keys()].sort().map(date => {
+            total += counts.get(date);
+            return { date, total };
+        });
+    }
+    
+    static getWeeklyTime(activity, today = new Date(), weeks = this.WEEKLY_WEEKS) {
+        // Minutes per Monday-to-Sunday week, oldest first
+        const firstWeek = this.addDays(this.startOfWeek(today), -(weeks - 1) * 7);
+        const bars = Array.from({ length: weeks }, (_, i) => ({
+            week: ReviewScheduler.formatDate(this.addDays(firstWeek, i * 7)),
+            minutes: 0
+        }));
+        
+        activity.forEach((day, key) => {
+            // Whole days first, since a DST change makes a week an hour short or long
+            const days = Math.round((this.parseDate(key) - firstWeek) / 86400000);
+            const index = Math.floor(days / 7);
+            if (index >= 0 && index < weeks) bars[index].minutes += day.minutes;
+        });
+        
+        return bars.map(bar => ({ ...bar, minutes: Math.round(bar.minutes) }));
+    }
+    
+    static getHSKBreakdown(practiced, mastered) {
+        // Practiced and mastered characters per HSK level (characters must be loaded)
+        const practicedStats = CharacterManager.getCharacterStats(practiced).byHSK;
+        const masteredStats = CharacterManager.getCharacterStats(mastered).byHSK;
+        
+        return this.HSK_LEVELS.map(level => ({
+            label: level === 'unknown' ? 'Other' : `HSK ${level}`,
+            practiced: practicedStats[level],
+            mastered: masteredStats[level]
+        }));
+    }
+    
+    static renderHeatmap(activity, today = new Date(), weeks = this.HEATMAP_WEEKS) {
+        // One column per week, Monday at the top
+        const cell = 11;
+        const gap = 2;
+        const left = 28;
+        const top = 16;
+        const firstWeek = this.addDays(this.startOfWeek(today), -(weeks - 1) * 7);
+        const todayKey = ReviewScheduler.formatDate(today);
+        
+        let cells = '';
+        let months = '';
+        let lastMonth = null;
+        
+        for (let week = 0; week < weeks; week++) {
+            const x = left + week * (cell + gap);
+            const monday = this.addDays(firstWeek, week * 7);
+            if (monday.getMonth() !== lastMonth) {
+                lastMonth = monday.getMonth();
+                months += `<text x="${x}" y="10">${monday.toLocaleDateString([], { month: 'short' })}</text>`;
+            }
+            
+            for (let weekday = 0; weekday < 7; weekday++) {
+                const key = ReviewScheduler.formatDate(this.addDays(monday, weekday));
+                if (key > todayKey) break;
+                
+                const day = activity.get(key);
+                const attempts = day?.attempts || 0;
+                const shade = this.HEAT_LEVELS.filter(level => attempts >= level).length;
+                const minutes = Math.round(day?.minutes || 0);
+                cells += `<rect x="${x}" y="${top + weekday * (cell + gap)}" width="${cell}" height="${cell}" rx="2" fill="${this.HEAT_COLORS[shade]}">` +
+                    `<title>${key}: ${attempts} attempt${attempts === 1 ? '' : 's'}${minutes ? `, ${minutes} min` : ''}</title></rect>`;
+            }
+        }
+        
+        const labels = ['Mon', 'Wed', 'Fri']
+            .map((label, i) => `<text x="0" y="${top + (i * 2) * (cell + gap) + cell - 2}">${label}</text>`)
+            .join('');
+        const width = left + weeks * (cell + gap);
+        const height = top + 7 * (cell + gap);
+        
+        return `<svg class="dashboard-svg" viewBox="0 0 ${width} ${height}" width="${width}" height="${height}">` +
+            `<g class="dashboard-axis">${months}${labels}</g>${cells}</svg>`;
+    }
+    
+    static renderLineChart(points, today = new Date()) {
+        // Step line from the first point to today
+        const width = this.CHART_WIDTH;
+        const height = 120;
+        const pad = { left: 28, right: 8, top: 8, bottom: 20 };
+        const start = this.parseDate(points[0].date).getTime();
+        const end = Math.max(today.getTime(), start + 86400000);
+        const max = points[points.length - 1].total;
+        
+        const x = (date) => pad.left + ((this.parseDate(date).getTime() - start) / (end - start)) * (width - pad.left - pad.right);
+        const y = (total) => height - pad.bottom - (total / max) * (height - pad.top - pad.bottom);
+        
+        let path = `M${x(points[0].date).toFixed(1)} ${y(0).toFixed(1)}`;
+        points.forEach((point, i) => {
+            const px = x(point.date).toFixed(1);
+            path += `L${px} ${y(i > 0 ? points[i - 1].total : 0).toFixed(1)}L${px} ${y(point.total).toFixed(1)}`;
+        });
+        path += `L${width - pad.right} ${y(max).toFixed(1)}`;
+        
+        return `<svg class="dashboard-svg" viewBox="0 0 ${width} ${height}" width="${width}" height="${height}">` +
+            `<g class="dashboard-axis">` +
+            `<text x="0" y="${pad.top + 8}">${max}</text><text x="0" y="${height - pad.bottom}">0</text>` +
+            `<text x="${pad.left}" y="${height - 4}">${points[0].date}</text>` +
+            `<text x="${width - pad.right}" y="${height - 4}" text-anchor="end">${ReviewScheduler.formatDate(today)}</text>` +
+            `</g><path d="${path}" fill="none" stroke="var(--success-color)" stroke-width="2"/></svg>`;
+    }
+    
+    static renderBarChart(bars) {
+        // bars: [{ label, value, title }], value labels above non-empty bars
+        const width = this.CHART_WIDTH;
+        const height = 120;
+        const pad = { top: 14, bottom: 20 };
+        const slot = width / bars.length;
+        const max = Math.max(1, ...bars.map(bar => bar.value));
+        
+        const content = bars.map((bar, i) => {
+            const barHeight = (bar.value / max) * (height - pad.top - pad.bottom);
+            const x = i * slot + slot * 0.15;
+            const y = height - pad.bottom - barHeight;
+            return `<rect x="${x.toFixed(1)}" y="${y.toFixed(1)}" width="${(slot * 0.7).toFixed(1)}" height="${barHeight.toFixed(1)}" rx="2" fill="var(--primary-color)"><title>${bar.title}</title></rect>` +
+                (bar.value > 0 ? `<text x="${(x + slot * 0.35).toFixed(1)}" y="${(y - 3).toFixed(1)}" text-anchor="middle">${bar.value}</text>` : '') +
+                (bar.label ? `<text x="${(x + slot * 0.35).toFixed(1)}" y="${height - 4}" text-anchor="middle">${bar.label}</text>` : '');
+        }).join('');
+        
+        return `<svg class="dashboard-svg" viewBox="0 0 ${width} ${height}" width="${width}" height="${height}">` +
+            `<g class="dashboard-axis">${content}</g></svg>`;
+    }
+    
+    static renderLevelBars(rows) {
+        // Practiced characters per level, with the mastered share filled in
+        const width = this.CHART_WIDTH;
+        const rowHeight = 20;
+        const left = 48;
+        const right = 56;
+        const max = Math.max(1, ...rows.map(row => row.practiced));
+        
+        const content = rows.map((row, i) => {
+            const y = i * rowHeight;
+            const full = (row.practiced / max) * (width - left - right);
+            const done = (row.mastered / max) * (width - left - right);
+            return `<text x="0" y="${y + 13}">${row.label}</text>` +
+                `<rect x="${left}" y="${y + 3}" width="${full.toFixed(1)}" height="12" rx="2" fill="var(--border-color)"/>` +
+                `<rect x="${left}" y="${y + 3}" width="${done.toFixed(1)}" height="12" rx="2" fill="var(--success-color)"/>` +
+                `<text x="${width}" y="${y + 13}" text-anchor="end">${row.mastered}/${row.practiced}</text>`;
+        }).join('');
+        
+        const height = rows.length * rowHeight;
+        return `<svg class="dashboard-svg" viewBox="0 0 ${width} ${height}" width="${width}" height="${height}">` +
+            `<g class="dashboard-axis">${content}</g></svg>`;
+    }
+    
+    static startOfWeek(date) {
+        // Monday of the date's week
+        return this.addDays(date, -((date.getDay() + 6) % 7));
+    }
+    
+    static addDays(date, days) {
+        return new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+    }
+    
+    static parseDate(key) {
+        // YYYY-MM-DD as a local date
+        const [year, month, day] = key.split('-').map(Number);
+        return new Date(year, month - 1, day);
+    }
+}
+
+// Export for global use
+window.ProgressDashboard = ProgressDashboard;
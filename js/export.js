@@ -2,6 +2,36 @@
 // Generates formatted results for integration with Chinese study system
 
 class ResultsExporter {
+    static FORMATS = {
+        fleeting: { extension: 'txt', mimeType: 'text/plain', hint: 'Copy these results to your Fleeting Notes app:' },
+        markdown: { extension: 'md', mimeType: 'text/markdown', hint: 'A readable report for notes apps and documents:' },
+        csv: { extension: 'csv', mimeType: 'text/csv', hint: 'One row per character, for Numbers, Excel or Sheets:' },
+        json: { extension: 'json', mimeType: 'application/json', hint: 'Full results, including recognition and shape scores:' },
+        anki: { extension: 'zip', mimeType: 'application/zip', hint: 'Anki notes with your best handwriting. Unzip, copy the media folder into Anki\'s collection.media, then import the .txt file:' }
+    };
+    
+    static ANKI_COLUMNS = ['Character', 'Pinyin', 'Meaning', 'Examples', 'Handwriting', 'Tags'];
+    
+    static generate(format, session, characters, media = {}) {
+        switch (format) {
+            case 'anki':
+                return this.generateAnkiNotes(session, characters, media);
+            case 'markdown':
+                return this.generateMarkdownReport(session, characters);
+            case 'csv':
+                return this.generateCSV(session, characters);
+            case 'json':
+                return this.generateJSON(session, characters);
+            default:
+                return this.generateResults(session, characters);
+        }
+    }
+    
+    static getFilename(format, session, extension = (this.FORMATS[format] || this.FORMATS.fleeting).extension) {
+        const date = session.date || new Date().toISOString().split('T')[0];
+        return `chinese-writing-${date}.${extension}`;
+    }
+    
     static generateResults(session, characters) {
         const results = {
             date: session.date || new Date().toISOString().split('T')[0],
@@ -11,7 +41,9 @@ class ResultsExporter {
             needsWork: [],
             notPracticed: [],
             sessionType: session.type || 'character-practice',
-            level: session.level || 'hsk-3'
+            level: session.level || 'hsk-3',
+            mode: session.mode || 'copy',
+            script: session.script || 'simp'
         };
         
         // Categorize characters by status
@@ -46,6 +78,8 @@ class ResultsExporter {
         
         // Session summary
         output += `**Session:** ${this.formatSessionType(results.sessionType)} | `;
+        output += `**Mode:** ${this.formatMode(results.mode)} | `;
+        output += `**Script:** ${this.formatScript(results.script)} | `;
         output += `**Duration:** ${duration} min | `;
         output += `**Characters:** ${totalChars}\n\n`;
         
@@ -73,12 +107,43 @@ class ResultsExporter {
                 const charData = session.characterData?.[char];
                 const pinyin = charData?.pinyin || '';
                 const status = data.status === 'mastered' ? 'mastered' : 'needs work';
+                const mode = data.mode && data.mode !== results.mode ? ` [${data.mode}]` : '';
+                const next = data.nextReview ? ` · next review ${data.nextReview}` : '';
                 
-                output += `• ${char}${pinyin ? ` (${pinyin})` : ''}: ${data.attempts || 1} attempts → ${status}  \n`;
+                output += `• ${char}${pinyin ? ` (${pinyin})` : ''}: ${data.attempts || 1} attempts → ${status}${mode}${next}  \n`;
+            }
+            output += `\n`;
+        }
+        
+        // Words, with each character inside them
+        const words = this.getWordResults(session);
+        if (words.length > 0) {
+            output += `**Words:**\n`;
+            for (const word of words) {
+                const chars = word.characters.map(c => `${c.character}${this.statusIcon(c.status)}`).join(' ');
+                output += `• ${word.word}: ${this.formatStatus(word.status)} — ${chars}  \n`;
             }
             output += `\n`;
         }
         
+        // Recommendations from the practice session summary
+        const recommendations = this.getRecommendations(session);
+        if (recommendations.length > 0) {
+            output += `**Recommendations:**\n`;
+            for (const rec of recommendations) {
+                output += `• ${rec.message}  \n`;
+            }
+            output += `\n`;
+        }
+        
+        // Next review dates from the spaced repetition schedule
+        const reviews = [];
+        for (const [char, data] of session.results.entries()) {
+            if (data.nextReview) {
+                reviews.push(`${char}=${data.nextReview}`);
+            }
+        }
+        
         // Raw data for automation
         output += `**Raw Data:** `;
         output += `mastered:${results.mastered.join(',')}|`;
@@ -86,11 +151,24 @@ class ResultsExporter {
         output += `not_practiced:${results.notPracticed.join(',')}|`;
         output += `duration:${duration}|`;
         output += `session:${date}|`;
+        output += `mode:${results.mode}|`;
+        output += `script:${results.script}|`;
+        output += `word_characters:${words.map(word => `${word.word}(${word.characters.map(c => `${c.character}=${c.status}`).join(';')})`).join(',')}|`;
+        output += `simplified:${this.getSimplifiedForms(session).join(',')}|`;
+        output += `next_review:${reviews.join(',')}|`;
         output += `success_rate:${successRate}`;
         
         return output;
     }
     
+    static getRecommendations(session) {
+        // Live PracticeSession, or the summary stored with a saved session
+        if (typeof session.getRecommendations === 'function') {
+            return session.getRecommendations();
+        }
+        return session.recommendations || [];
+    }
+    
     static formatSessionType(type) {
         const types = {
             'character-practice': 'Character Practice',
@@ -104,6 +182,54 @@ class ResultsExporter {
         return types[type] || 'Practice Session';
     }
     
+    static formatMode(mode) {
+        return mode === 'recall' ? 'Recall (from memory)' : 'Copy';
+    }
+    
+    static formatScript(script) {
+        return script === 'trad' ? 'Traditional' : 'Simplified';
+    }
+    
+    static getSimplified(session, char) {
+        // Simplified form, so traditional practice lines up with the study system's records
+        const data = session.characterData?.[char] ||
+            (typeof CharacterManager !== 'undefined' ? CharacterManager.lookup(char) : null);
+        return data?.simplified || char;
+    }
+    
+    static getSimplifiedForms(session) {
+        // "鎖=锁" pairs for characters practiced in traditional form
+        const forms = [];
+        for (const char of session.results.keys()) {
+            const simplified = this.getSimplified(session, char);
+            if (simplified !== char) {
+                forms.push(`${char}=${simplified}`);
+            }
+        }
+        return forms;
+    }
+    
+    static getWordResults(session) {
+        // Word entries and the per-character results inside them
+        const words = [];
+        for (const [word, data] of session.results.entries()) {
+            if (data.characterResults) {
+                words.push({ word, status: data.status, characters: data.characterResults });
+            }
+        }
+        return words;
+    }
+    
+    static statusIcon(status) {
+        const icons = { 'mastered': '✅', 'needs-work': '⚠️', 'not-practiced': '❌' };
+        return icons[status] || '❌';
+    }
+    
+    static formatStatus(status) {
+        const labels = { 'mastered': 'mastered', 'needs-work': 'needs work', 'not-practiced': 'not practiced' };
+        return labels[status] || 'not practiced';
+    }
+    
     static hasDetailedData(session) {
         // Check if we have detailed attempt data
         for (const [char, data] of session.results.entries()) {
@@ -115,7 +241,7 @@ class ResultsExporter {
     }
     
     static generateCSV(session, characters) {
-        let csv = 'Character,Pinyin,Meaning,Status,Attempts,Duration\n';
+        let csv = 'Character,Simplified,Script,Word,Pinyin,Meaning,Status,Mode,Attempts,Duration,NextReview,ShapeScore\n';
         
         for (const char of characters) {
             const result = session.results.get(char);
@@ -123,24 +249,61 @@ class ResultsExporter {
             
             const row = [
                 char,
+                this.getSimplified(session, char),
+                session.script || 'simp',
+                '',
                 charData?.pinyin || '',
                 charData?.meaning || '',
                 result?.status || 'not-practiced',
+                result?.mode || session.mode || 'copy',
                 result?.attempts || 0,
-                Math.round((result?.timeSpent || 0) / 1000) // Convert to seconds
+                Math.round((result?.timeSpent || 0) / 1000), // Convert to seconds
+                result?.nextReview || '',
+                result?.shape?.score ?? ''
             ];
             
-            csv += row.map(field => `"${field}"`).join(',') + '\n';
+            csv += this.toCSVRow(row);
+        }
+        
+        // One row per character inside each word, with the word in the Word column
+        for (const word of this.getWordResults(session)) {
+            for (const result of word.characters) {
+                const charData = session.characterData?.[result.character];
+                
+                const row = [
+                    result.character,
+                    this.getSimplified(session, result.character),
+                    session.script || 'simp',
+                    word.word,
+                    charData?.pinyin || '',
+                    charData?.meaning || '',
+                    result.status,
+                    session.mode || 'copy',
+                    result.attempts || 0,
+                    '',
+                    '',
+                    ''
+                ];
+                
+                csv += this.toCSVRow(row);
+            }
         }
         
         return csv;
     }
     
+    static toCSVRow(fields) {
+        // Meanings contain commas and quotes
+        return fields.map(field => `"${String(field).replace(/"/g, '""')}"`).join(',') + '\n';
+    }
+    
     static generateJSON(session, characters) {
         const export_data = {
             metadata: {
                 date: session.date || new Date().toISOString().split('T')[0],
                 sessionType: session.type || 'character-practice',
+                mode: session.mode || 'copy',
+                script: session.script || 'simp',
                 duration: session.duration,
                 totalCharacters: characters.length,
                 exportedAt: new Date().toISOString()
@@ -154,20 +317,81 @@ class ResultsExporter {
             
             export_data.results.push({
                 character: char,
+                type: result?.characterResults ? 'word' : 'character',
+                simplified: this.getSimplified(session, char),
+                traditional: charData?.traditional || char,
                 pinyin: charData?.pinyin || '',
                 meaning: charData?.meaning || '',
                 strokes: charData?.strokes || 0,
                 hskLevel: charData?.hskLevel || 0,
                 status: result?.status || 'not-practiced',
+                mode: result?.mode || session.mode || 'copy',
                 attempts: result?.attempts || 0,
                 timeSpent: result?.timeSpent || 0,
-                lastPracticed: result?.lastPracticed || null
+                lastPracticed: result?.lastPracticed || null,
+                nextReview: result?.nextReview || null,
+                recognition: result?.recognition || null,
+                shape: result?.shape || null,
+                ...(result?.characterResults ? {
+                    characters: result.characterResults.map(c => ({
+                        character: c.character,
+                        status: c.status,
+                        attempts: c.attempts,
+                        lastPracticed: c.lastPracticed
+                    }))
+                } : {})
             });
         }
         
         return JSON.stringify(export_data, null, 2);
     }
     
+    static generateAnkiNotes(session, characters, media = {}) {
+        // Tab-separated notes with Anki's file headers; media maps a character to its handwriting PNG
+        let notes = '#separator:tab\n#html:true\n';
+        notes += `#columns:${this.ANKI_COLUMNS.join('\t')}\n`;
+        notes += `#tags column:${this.ANKI_COLUMNS.length}\n`;
+        
+        for (const char of characters) {
+            const result = session.results.get(char);
+            const charData = session.characterData?.[char];
+            const examples = (charData?.examples || [])
+                .map(example => `${example.chinese} ${example.pinyin} - ${example.english}`);
+            
+            const tags = ['chinese-writing', `status::${result?.status || 'not-practiced'}`];
+            if (charData?.hskLevel) tags.push(`hsk::${charData.hskLevel}`);
+            if (result?.characterResults) tags.push('word');
+            
+            const fields = [
+                this.toAnkiField(char),
+                this.toAnkiField(charData?.pinyin || ''),
+                this.toAnkiField(charData?.meaning || ''),
+                examples.map(example => this.toAnkiField(example)).join('<br>'),
+                media[char] ? `<img src="${media[char]}">` : '',
+                tags.join(' ')
+            ];
+            notes += fields.join('\t') + '\n';
+        }
+        
+        return notes;
+    }
+    
+    static toAnkiField(text) {
+        // Fields are HTML; quotes are escaped too, since a leading one would start a quoted field
+        const html = String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/[\t\r\n]+/g, ' ');
+        return html.replace(/"/g, '&quot;');
+    }
+    
+    static getAnkiMediaName(char) {
+        // ASCII file names from code points, so the zip opens the same everywhere
+        const codes = Array.from(char, c => c.codePointAt(0).toString(16)).join('-');
+        return `chinese-writing-${codes}.png`;
+    }
+    
     static generateMarkdownReport(session, characters) {
         const results = this.analyzeResults(session, characters);
         
@@ -206,6 +430,29 @@ class ResultsExporter {
             report += `\n`;
         }
         
+        // Words, with each character inside them
+        const words = this.getWordResults(session);
+        if (words.length > 0) {
+            report += `## Words\n\n`;
+            words.forEach(word => {
+                const chars = word.characters.map(c => `${c.character} ${this.statusIcon(c.status)}`).join(', ');
+                report += `- **${word.word}** - ${this.formatStatus(word.status)} (${chars})\n`;
+            });
+            report += `\n`;
+        }
+        
+        // Shape quality of the latest attempt at each character
+        const shapes = characters.filter(char => session.results.get(char)?.shape);
+        if (shapes.length > 0) {
+            report += `## Shape\n\n`;
+            shapes.forEach(char => {
+                const shape = session.results.get(char).shape;
+                const hints = shape.hints.length > 0 ? ` - ${shape.hints.join('; ')}` : '';
+                report += `- **${char}** ${shape.score}/100${hints}\n`;
+            });
+            report += `\n`;
+        }
+        
         // Recommendations
         report += `## Recommendations\n\n`;
         if (results.needsWork.length > 0) {
@@ -0,0 +1,285 @@
+// Stroke Order Grading
+// Compares captured strokes against reference stroke medians (Make Me a Hanzi format)
+
+class StrokeGrader {
+    static RESAMPLE_POINTS = 16;
+    static MATCH_THRESHOLD = 0.3; // Max average point distance in normalized units
+    static DIRECTION_MARGIN = 0.05;
+    
+    static grade(strokes, medians, options = {}) {
+        const names = options.strokeNames || [];
+        const report = {
+            character: options.character || '',
+            expectedStrokes: medians.length,
+            writtenStrokes: strokes.length,
+            matches: [],
+            missing: [],
+            extra: [],
+            wrongOrder: [],
+            wrongDirection: [],
+            score: 0,
+            passed: false,
+            messages: []
+        };
+        
+        if (medians.length === 0) {
+            report.messages.push('No reference stroke data available');
+            return report;
+        }
+        
+        // Bring both stroke sets into the same normalized space
+        const written = this.normalize(strokes.map(stroke => this.toReferenceSpace(stroke)));
+        const reference = this.normalize(medians);
+        
+        const userPaths = written.map(path => this.resample(path, this.RESAMPLE_POINTS));
+        const refPaths = reference.map(path => this.resample(path, this.RESAMPLE_POINTS));
+        
+        // Score every pairing of written stroke and reference stroke
+        const pairs = [];
+        userPaths.forEach((userPath, userIndex) => {
+            refPaths.forEach((refPath, refIndex) => {
+                const forward = this.pathDistance(userPath, refPath);
+                const backward = this.pathDistance([...userPath].reverse(), refPath);
+                pairs.push({ userIndex, refIndex, forward, backward, cost: Math.min(forward, backward) });
+            });
+        });
+        
+        // Greedy assignment, cheapest pairs first
+        pairs.sort((a, b) => a.cost - b.cost);
+        const userMatched = new Map();
+        const refMatched = new Set();
+        
+        for (const pair of pairs) {
+            if (pair.cost > this.MATCH_THRESHOLD) break;
+            if (userMatched.has(pair.userIndex) || refMatched.has(pair.refIndex)) continue;
+            
+            userMatched.set(pair.userIndex, pair);
+            refMatched.add(pair.refIndex);
+        }
+        
+        const strokeLabel = (refIndex) => {
+            const name = names[refIndex];
+            return `stroke ${refIndex + 1}${name ? ` (${name})` : ''}`;
+        };
+        
+        // Matches in the order they were written
+        for (let i = 0; i < userPaths.length; i++) {
+            const pair = userMatched.get(i);
+            if (!pair) {
+                report.extra.push(i);
+                report.messages.push(`Written stroke ${i + 1} does not match any stroke of this character`);
+                continue;
+            }
+            
+            const reversed = pair.backward + this.DIRECTION_MARGIN < pair.forward;
+            report.matches.push({
+                written: i,
+                expected: pair.refIndex,
+                distance: Math.round(pair.cost * 1000) / 1000,
+                reversed
+            });
+            
+            if (reversed) {
+                report.wrongDirection.push(pair.refIndex);
+                report.messages.push(`${this.capitalize(strokeLabel(pair.refIndex))} was written in the wrong direction`);
+            }
+        }
+        
+        // Strokes outside the longest correctly ordered run were written out of order
+        const inOrder = this.longestIncreasingRun(report.matches.map(m => m.expected));
+        report.matches.forEach((match, position) => {
+            if (!inOrder.has(position)) {
+                report.wrongOrder.push({ expected: match.expected, written: match.written });
+                report.messages.push(`${this.capitalize(strokeLabel(match.expected))} was written as stroke ${match.written + 1}`);
+            }
+        });
+        
+        for (let j = 0; j < refPaths.length; j++) {
+            if (!refMatched.has(j)) {
+                report.missing.push(j);
+                report.messages.push(`${this.capitalize(strokeLabel(j))} is missing`);
+            }
+        }
+        
+        // Score: share of reference strokes written correctly, less a penalty for extras
+        const correct = report.matches.filter((match, position) => !match.reversed && inOrder.has(position)).length;
+        const penalty = report.extra.length * 0.5;
+        report.score = Math.max(0, Math.round(((correct - penalty) / medians.length) * 100));
+        report.passed = report.missing.length === 0 &&
+            report.extra.length === 0 &&
+            report.wrongOrder.length === 0 &&
+            report.wrongDirection.length === 0;
+        
+        if (report.passed) {
+            report.messages.push('All strokes in the correct order and direction');
+        }
+        
+        return report;
+    }
+    
+    static gradeWord(strokes, characters, cells) {
+        // Grade each character of a word against the strokes written in its cell
+        const groups = this.splitByCell(strokes, cells);
+        const reports = characters.map((entry, i) => ({
+            position: i,
+            ...this.grade(groups[i] || [], entry.medians, {
+                character: entry.character,
+                strokeNames: entry.strokeNames
+            })
+        }));
+        
+        // Characters without reference data can't be graded and don't count
+        const graded = reports.filter(report => report.expectedStrokes > 0);
+        const score = graded.length > 0
+            ? Math.round(graded.reduce((sum, report) => sum + report.score, 0) / graded.length)
+            : 0;
+        
+        return {
+            word: characters.map(entry => entry.character).join(''),
+            characters: reports,
+            score,
+            passed: graded.length > 0 && graded.every(report => report.passed),
+            messages: graded
+                .filter(report => !report.passed)
+                .flatMap(report => report.messages.map(message => `${report.character}: ${message}`))
+        };
+    }
+    
+    static splitByCell(strokes, cells) {
+        // Each stroke belongs to the cell holding its horizontal center, in cell-local coordinates
+        const groups = cells.map(() => []);
+        
+        strokes.forEach(stroke => {
+            const points = stroke.points || [];
+            if (points.length === 0) return;
+            
+            const centerX = points.reduce((sum, p) => sum + p.x, 0) / points.length;
+            let index = cells.findIndex(cell => centerX >= cell.x && centerX < cell.x + cell.size);
+            if (index < 0) {
+                index = centerX < cells[0].x ? 0 : cells.length - 1;
+            }
+            
+            const cell = cells[index];
+            groups[index].push({
+                ...stroke,
+                points: points.map(p => ({ ...p, x: p.x - cell.x, y: p.y - cell.y })),
+                canvasSize: { width: cell.size, height: cell.size }
+            });
+        });
+        
+        return groups;
+    }
+    
+    static mediansForCell(medians, cell, width, height) {
+        // Reference medians for one cell, expressed in the full canvas's reference box
+        return medians.map(median => median.map(([x, y]) => [
+            ((cell.x + (x / 1024) * cell.size) / width) * 1024,
+            900 - ((cell.y + ((900 - y) / 1024) * cell.size) / height) * 1024
+        ]));
+    }
+    
+    static suggestStatus(report) {
+        return report.passed ? 'mastered' : 'needs-work';
+    }
+    
+    static toReferenceSpace(stroke) {
+        // Canvas pixels (y down) to the 1024 reference box (y up, baseline at 900)
+        const width = stroke.canvasSize?.width || 600;
+        const height = stroke.canvasSize?.height || 600;
+        
+        return (stroke.points || []).map(p => [
+            (p.x / width) * 1024,
+            900 - (p.y / height) * 1024
+        ]);
+    }
+    
+    static normalize(paths) {
+        // Center on the bounding box and scale its longest side to 1
+        const all = paths.flat();
+        if (all.length === 0) return paths;
+        
+        const xs = all.map(p => p[0]);
+        const ys = all.map(p => p[1]);
+        const minX = Math.min(...xs), maxX = Math.max(...xs);
+        const minY = Math.min(...ys), maxY = Math.max(...ys);
+        const size = Math.max(maxX - minX, maxY - minY) || 1;
+        const centerX = (minX + maxX) / 2;
+        const centerY = (minY + maxY) / 2;
+        
+        return paths.map(path => path.map(p => [
+            (p[0] - centerX) / size,
+            (p[1] - centerY) / size
+        ]));
+    }
+    
+    static resample(path, count) {
+        if (path.length === 0) return [];
+        if (path.length === 1) return Array(count).fill(path[0]);
+        
+        // Cumulative length along the path
+        const lengths = [0];
+        for (let i = 1; i < path.length; i++) {
+            lengths.push(lengths[i - 1] + Math.hypot(path[i][0] - path[i - 1][0], path[i][1] - path[i - 1][1]));
+        }
+        const total = lengths[lengths.length - 1];
+        if (total === 0) return Array(count).fill(path[0]);
+        
+        const result = [];
+        let segment = 1;
+        for (let k = 0; k < count; k++) {
+            const target = (k / (count - 1)) * total;
+            while (segment < path.length - 1 && lengths[segment] < target) {
+                segment++;
+            }
+            
+            const span = lengths[segment] - lengths[segment - 1] || 1;
+            const ratio = Math.min(1, Math.max(0, (target - lengths[segment - 1]) / span));
+            const a = path[segment - 1];
+            const b = path[segment];
+            result.push([a[0] + (b[0] - a[0]) * ratio, a[1] + (b[1] - a[1]) * ratio]);
+        }
+        
+        return result;
+    }
+    
+    static pathDistance(a, b) {
+        let sum = 0;
+        for (let i = 0; i < a.length; i++) {
+            sum += Math.hypot(a[i][0] - b[i][0], a[i][1] - b[i][1]);
+        }
+        return sum / a.length;
+    }
+    
+    static longestIncreasingRun(sequence) {
+        // Positions forming the longest increasing subsequence
+        const lengths = sequence.map(() => 1);
+        const previous = sequence.map(() => -1);
+        
+        for (let i = 0; i < sequence.length; i++) {
+            for (let j = 0; j < i; j++) {
+                if (sequence[j] < sequence[i] && lengths[j] + 1 > lengths[i]) {
+                    lengths[i] = lengths[j] + 1;
+                    previous[i] = j;
+                }
+            }
+        }
+        
+        const positions = new Set();
+        if (sequence.length === 0) return positions;
+        
+        let end = lengths.indexOf(Math.max(...lengths));
+        while (end >= 0) {
+            positions.add(end);
+            end = previous[end];
+        }
+        
+        return positions;
+    }
+    
+    static capitalize(text) {
+        return text.charAt(0).toUpperCase() + text.slice(1);
+    }
+}
+
+// Export for global use
+window.StrokeGrader = StrokeGrader;
\ No newline at end of file
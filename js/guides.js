@@ -0,0 +1,172 @@
+// Practice Guides
+// Draws the practice grid and the faint tracing glyph on a layer beneath the ink
+
+class PracticeGuides {
+    static GRID_TYPES = {
+        tian: '田字格',
+        mi: '米字格',
+        hui: '回宫格',
+        none: 'No grid'
+    };
+    
+    constructor(layer) {
+        this.layer = layer;
+        this.ctx = layer.getContext('2d');
+        
+        const ratio = window.devicePixelRatio || 1;
+        this.width = layer.width / ratio;
+        this.height = layer.height / ratio;
+        
+        this.gridType = 'tian'; // 'tian' (田字格), 'mi' (米字格), 'hui' (回宫格), 'none'
+        this.traceMode = false;
+        this.character = ''; // A single character, or a word drawn one character per cell
+        this.cellCount = 1;
+        this.repetition = 0;
+        
+        // Ghost opacity per repetition, from full trace down to a blank cell
+        this.fadeSteps = [0.35, 0.25, 0.15, 0.07, 0];
+        
+        // Redraw once the Chinese web font is ready
+        document.fonts?.ready.then(() => this.render());
+    }
+    
+    setGrid(type) {
+        this.gridType = PracticeGuides.GRID_TYPES[type] ? type : 'tian';
+        this.render();
+        console.log('🔲 Grid set to:', this.gridType);
+    }
+    
+    setTraceMode(enabled) {
+        this.traceMode = !!enabled;
+        this.repetition = 0;
+        this.render();
+        console.log(`👻 Tracing mode ${this.traceMode ? 'on' : 'off'}`);
+    }
+    
+    static getCells(width, height, count) {
+        // Square cells side by side, vertically centered; one cell fills the canvas
+        const n = Math.max(1, count);
+        const size = Math.min(width / n, height);
+        const top = (height - size) / 2;
+        const left = (width - size * n) / 2;
+        
+        return Array.from({ length: n }, (_, i) => ({
+            x: left + i * size,
+            y: top,
+            size
+        }));
+    }
+    
+    getCells() {
+        return PracticeGuides.getCells(this.width, this.height, this.cellCount);
+    }
+    
+    setCharacter(character, cellCount = null) {
+        // cellCount keeps a word's cells when its glyphs are hidden (recall mode)
+        this.character = character || '';
+        this.cellCount = cellCount || [...this.character].length || 1;
+        this.repetition = 0;
+        this.render();
+    }
+    
+    nextRepetition() {
+        // Each new attempt fades the ghost one step further
+        if (this.repetition < this.fadeSteps.length - 1) {
+            this.repetition++;
+            this.render();
+        }
+    }
+    
+    getGhostOpacity() {
+        if (!this.traceMode) return 0;
+        return this.fadeSteps[Math.min(this.repetition, this.fadeSteps.length - 1)];
+    }
+    
+    getTraceProgress() {
+        return {
+            repetition: this.repetition + 1,
+            total: this.fadeSteps.length
+        };
+    }
+    
+    render() {
+        const ctx = this.ctx;
+        ctx.clearRect(0, 0, this.width, this.height);
+        
+        // Paper
+        ctx.fillStyle = '#ffffff';
+        ctx.fillRect(0, 0, this.width, this.height);
+        
+        const glyphs = [...this.character];
+        this.getCells().forEach((cell, i) => {
+            this.drawGrid(cell);
+            this.drawGhost(glyphs[i], cell);
+        });
+    }
+    
+    drawGrid(cell) {
+        if (this.gridType === 'none') return;
+        
+        const ctx = this.ctx;
+        const w = cell.size;
+        const h = cell.size;
+        const inset = 1;
+        
+        ctx.save();
+        ctx.translate(cell.x, cell.y);
+        ctx.strokeStyle = 'rgba(244, 67, 54, 0.45)';
+        
+        // Outer frame
+        ctx.lineWidth = 2;
+        ctx.setLineDash([]);
+        ctx.strokeRect(inset, inset, w - inset * 2, h - inset * 2);
+        
+        ctx.lineWidth = 1;
+        ctx.setLineDash([8, 6]);
+        ctx.beginPath();
+        
+        if (this.gridType === 'tian' || this.gridType === 'mi') {
+            // Center cross
+            ctx.moveTo(w / 2, 0);
+            ctx.lineTo(w / 2, h);
+            ctx.moveTo(0, h / 2);
+            ctx.lineTo(w, h / 2);
+        }
+        
+        if (this.gridType === 'mi') {
+            // Diagonals
+            ctx.moveTo(0, 0);
+            ctx.lineTo(w, h);
+            ctx.moveTo(w, 0);
+            ctx.lineTo(0, h);
+        }
+        
+        ctx.stroke();
+        
+        if (this.gridType === 'hui') {
+            // Inner palace box covering the central 60% of the cell
+            ctx.setLineDash([]);
+            ctx.strokeRect(w * 0.2, h * 0.2, w * 0.6, h * 0.6);
+        }
+        
+        ctx.restore();
+    }
+    
+    drawGhost(character, cell) {
+        const opacity = this.getGhostOpacity();
+        if (!character || opacity <= 0) return;
+        
+        const ctx = this.ctx;
+        ctx.save();
+        ctx.globalAlpha = opacity;
+        ctx.fillStyle = '#000000';
+        ctx.font = `${Math.round(cell.size * 0.8)}px 'Noto Sans SC', sans-serif`;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(character, cell.x + cell.size / 2, cell.y + cell.size / 2);
+        ctx.restore();
+    }
+}
+
+// Export for global use
+window.PracticeGuides = PracticeGuides;
\ No newline at end of file
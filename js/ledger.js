@@ -0,0 +1,104 @@
+// Mastery Ledger
+// Per-character practice history and mastery level, and the statistics derived from it
+
+class MasteryLedger {
+    static LEVELS = ['new', 'learning', 'mastered', 'retained'];
+    static ASSESSED = ['mastered', 'needs-work']; // Statuses that count as an attempt
+    static RETAINED_DAYS = 3; // Mastered on this many separate days
+    static MAX_HISTORY = 200;
+    
+    static createEntry(character, date = new Date()) {
+        return {
+            character,
+            firstSeen: date.toISOString(),
+            lastPracticed: null,
+            attempts: 0,
+            history: [], // [{ status, date, sessionId }], oldest first
+            firstMastered: null,
+            level: 'new'
+        };
+    }
+    
+    static isEntry(record) {
+        // Character records without a history only hold a review card
+        return Array.isArray(record?.history);
+    }
+    
+    static isCharacter(entry) {
+        // Words (停车) have entries too, but only single glyphs count as characters
+        return [...(entry?.character || '')].length === 1;
+    }
+    
+    static record(entry, status, options = {}) {
+        // options: { character, sessionId, date, key } — key is AttemptArchive.getKey() of the graded drawing
+        const date = options.date || new Date();
+        const base = this.isEntry(entry)
+            ? entry
+            : { ...this.createEntry(entry?.character || options.character, date), ...entry };
+        
+        if (!this.ASSESSED.includes(status)) return base;
+        
+        const timestamp = date.toISOString();
+        const item = { status, date: timestamp, sessionId: options.sessionId || null, key: options.key ?? null };
+        
+        // Re-grading the same drawing in a session replaces its history item instead of adding an attempt
+        const repeat = typeof options.key === 'string' && options.sessionId
+            ? base.history.find(h => h.sessionId === item.sessionId && h.key === item.key)
+            : null;
+        const history = [...base.history.filter(h => h !== repeat), item].slice(-this.MAX_HISTORY);
+        const firstMastered = repeat && repeat.date === base.firstMastered
+            ? history.find(h => h.status === 'mastered')?.date || null
+            : base.firstMastered || (status === 'mastered' ? timestamp : null);
+        
+        const next = {
+            ...base,
+            lastPracticed: timestamp,
+            attempts: base.attempts + (repeat ? 0 : 1),
+            history,
+            firstMastered
+        };
+        next.level = this.getLevel(next);
+        return next;
+    }
+    
+    static getLevel(entry) {
+        // new → learning (latest attempt needs work) → mastered → retained (mastered on several days)
+        const history = entry?.history || [];
+        const latest = history[history.length - 1];
+        if (!latest) return 'new';
+        if (latest.status !== 'mastered') return 'learning';
+        
+        const days = new Set(history
+            .filter(item => item.status === 'mastered')
+            .map(item => ReviewScheduler.formatDate(new Date(item.date))));
+        return days.size >= this.RETAINED_DAYS ? 'retained' : 'mastered';
+    }
+    
+    static summarize(entries, sessions = []) {
+        // Global statistics, computed rather than counted up on every save
+        const practiced = entries.filter(entry => entry.attempts > 0);
+        const characters = practiced.filter(entry => this.isCharacter(entry));
+        const practicedSessions = sessions.filter(session =>
+            Object.values(session.results || {}).some(result => result.attempts > 0));
+        
+        const byLevel = Object.fromEntries(this.LEVELS.map(level => [level, 0]));
+        entries.filter(entry => this.isCharacter(entry)).forEach(entry => {
+            byLevel[this.getLevel(entry)]++;
+        });
+        
+        const lastPracticed = practiced.map(entry => entry.lastPracticed).sort().pop();
+        
+        return {
+            totalSessions: practicedSessions.length,
+            totalCharacters: characters.length,
+            totalAttempts: practiced.reduce((sum, entry) => sum + entry.attempts, 0),
+            totalPracticeTime: practicedSessions.reduce((sum, session) => sum + (session.duration || 0), 0),
+            charactersMastered: byLevel.mastered + byLevel.retained,
+            byLevel,
+            lastSession: lastPracticed ? ReviewScheduler.formatDate(new Date(lastPracticed)) : null
+        };
+    }
+}
+
+// Export for global use
+window.MasteryLedger = MasteryLedger;
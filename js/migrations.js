@@ -0,0 +1,121 @@
+// Storage Migrations
+// Ordered steps that bring saved data from one storage version to the next
+
+class StorageMigrations {
+    // Snapshots are plain objects:
+    //   1.0  { version, sessions, settings, statistics, schedule, attempts, userDictionary } (the localStorage blob)
+    //   2.0+ { version, sessions, characters, attempts, settings: { key: value } } (the IndexedDB stores)
+    static STEPS = [
+        {
+            from: '1.0',
+            to: '2.0',
+            description: 'Split the localStorage blob into IndexedDB stores',
+            migrate(data) {
+                const settings = {};
+                if (data.settings) settings.settings = data.settings;
+                if (data.statistics) settings.statistics = data.statistics;
+                if (data.userDictionary) settings.userDictionary = data.userDictionary;
+                
+                return {
+                    sessions: (data.sessions || []).filter(session => session?.id),
+                    characters: Object.values(data.schedule || {})
+                        .filter(card => card?.character)
+                        .map(card => ({ character: card.character, schedule: card })),
+                    attempts: Object.values(data.attempts || {}).flat()
+                        .filter(attempt => attempt?.id && attempt.character),
+                    settings
+                };
+            }
+        },
+        {
+            from: '2.0',
+            to: '2.1',
+            description: 'Rename statistics.charactersmastered to charactersMastered',
+            migrate(data) {
+                if (!data.settings?.statistics) return data;
+                const { charactersmastered, ...statistics } = data.settings.statistics;
+                
+                return {
+                    ...data,
+                    settings: {
+                        ...data.settings,
+                        statistics: {
+                            ...statistics,
+                            charactersMastered: statistics.charactersMastered ?? charactersmastered ?? 0
+                        }
+                    }
+                };
+            }
+        },
+        {
+            from: '2.1',
+            to: '2.2',
+            description: 'Build per-character mastery ledgers from saved sessions and drop the aggregate statistics',
+            migrate(data) {
+                const records = new Map(data.characters.map(record => [record.character, record]));
+                
+                // Sessions keep each character's final status, so each one adds a single history item
+                [...data.sessions]
+                    .sort((a, b) => (a.savedAt || 0) - (b.savedAt || 0))
+                    .forEach(session => {
+                        Object.entries(session.results || {}).forEach(([character, result]) => {
+                            const seen = new Date(session.startTime || session.savedAt || Date.now());
+                            let entry = MasteryLedger.record(records.get(character) || { character }, null, { date: seen });
+                            
+                            if (result.attempts > 0 && MasteryLedger.ASSESSED.includes(result.status)) {
+                                entry = MasteryLedger.record(entry, result.status, {
+                                    sessionId: session.id,
+                                    date: new Date(result.lastPracticed || session.savedAt || seen)
+                                });
+                                entry.attempts += result.attempts - 1;
+                            }
+                            records.set(character, entry);
+                        });
+                    });
+                
+                const { statistics, ...settings } = data.settings;
+                return { ...data, characters: [...records.values()], settings };
+            }
+        }
+    ];
+    
+    static CURRENT_VERSION = this.STEPS[this.STEPS.length - 1].to;
+    
+    static migrate(snapshot, target = this.CURRENT_VERSION) {
+        // Works on a copy, so a failing step leaves the snapshot (and the backup) as it was
+        let data = structuredClone(snapshot);
+        let version = data.version || '1.0';
+        
+        while (version !== target) {
+            const step = this.STEPS.find(s => s.from === version);
+            if (!step) {
+                throw new Error(`No migration from storage version ${version} to ${target}`);
+            }
+            
+            try {
+                data = { ...step.migrate(data), version: step.to };
+            } catch (error) {
+                throw new Error(`Migration ${step.from} → ${step.to} failed: ${error.message}`);
+            }
+            
+            console.log(`🔄 Migrated storage ${step.from} → ${step.to}: ${step.description}`);
+            version = step.to;
+        }
+        
+        return data;
+    }
+    
+    static needsMigration(version) {
+        return (version || '1.0') !== this.CURRENT_VERSION;
+    }
+    
+    static isNewer(version) {
+        // Data from a later release of the app has no steps back down
+        const [major, minor = 0] = version.split('.').map(Number);
+        const [currentMajor, currentMinor = 0] = this.CURRENT_VERSION.split('.').map(Number);
+        return major > currentMajor || (major === currentMajor && minor > currentMinor);
+    }
+}
+
+// Export for global use
+window.StorageMigrations = StorageMigrations;
@@ -0,0 +1,78 @@
+// Pinyin Utilities
+// Converts between numbered pinyin (CC-CEDICT style) and tone-marked pinyin
+
+class PinyinConverter {
+    static TONE_MARKS = {
+        a: ['ā', 'á', 'ǎ', 'à'],
+        e: ['ē', 'é', 'ě', 'è'],
+        i: ['ī', 'í', 'ǐ', 'ì'],
+        o: ['ō', 'ó', 'ǒ', 'ò'],
+        u: ['ū', 'ú', 'ǔ', 'ù'],
+        ü: ['ǖ', 'ǘ', 'ǚ', 'ǜ']
+    };
+    
+    static numberedToToneMarks(text) {
+        // "ni3 hao3" → "nǐ hǎo", "lu:4" → "lǜ"; tone 5 (neutral) drops its number
+        return text
+            .split(' ')
+            .map(syllable => this.syllableToToneMark(syllable))
+            .join(' ');
+    }
+    
+    static syllableToToneMark(syllable) {
+        const match = syllable.match(/^([a-zA-ZüÜ:]+)([1-5])$/);
+        if (!match) return syllable.replace(/u:/g, 'ü').replace(/U:/g, 'Ü');
+        
+        const letters = match[1].replace(/u:|v/g, 'ü').replace(/U:|V/g, 'Ü');
+        const tone = parseInt(match[2]);
+        if (tone === 5) return letters;
+        
+        // Standard placement: a or e first, then the o of "ou", otherwise the last vowel
+        const lower = letters.toLowerCase();
+        let position = lower.search(/[ae]/);
+        if (position < 0) position = lower.indexOf('ou');
+        if (position < 0) {
+            for (let i = lower.length - 1; i >= 0; i--) {
+                if (this.TONE_MARKS[lower[i]]) {
+                    position = i;
+                    break;
+                }
+            }
+        }
+        if (position < 0) return letters;
+        
+        const vowel = lower[position];
+        let marked = this.TONE_MARKS[vowel][tone - 1];
+        if (letters[position] !== vowel) {
+            marked = marked.toUpperCase();
+        }
+        
+        return letters.slice(0, position) + marked + letters.slice(position + 1);
+    }
+    
+    static getTone(syllable) {
+        // Tone number of a numbered or tone-marked syllable (5 = neutral)
+        const numbered = syllable.match(/([1-5])$/);
+        if (numbered) return parseInt(numbered[1]);
+        
+        for (const marks of Object.values(this.TONE_MARKS)) {
+            for (let i = 0; i < marks.length; i++) {
+                if (syllable.toLowerCase().includes(marks[i])) return i + 1;
+            }
+        }
+        return 5;
+    }
+    
+    static stripTones(text) {
+        // "nǐ hǎo" / "ni3 hao3" → "ni hao"
+        return text
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .replace(/u:|v/g, 'u')
+            .replace(/[1-5]/g, '')
+            .toLowerCase();
+    }
+}
+
+// Export for global use (also loaded by the CC-CEDICT import worker)
+self.PinyinConverter = PinyinConverter;
@@ -3,26 +3,59 @@
 
 class PracticeSession {
     constructor(characters, options = {}) {
+        this.id = options.id || null;
+        this.date = options.date || new Date().toISOString().split('T')[0];
         this.characters = characters || [];
+        this.added = []; // Characters added during practice (search, component explorer)
         this.options = {
             sessionType: options.sessionType || 'character-practice',
             level: options.level || 'hsk-3',
             timeLimit: options.timeLimit || null, // in minutes
             shuffleCharacters: options.shuffleCharacters || false,
             autoProgress: options.autoProgress || false,
+            mode: options.mode || 'copy', // 'copy' or 'recall'
+            script: options.script || 'simp', // 'simp' or 'trad'
             ...options
         };
         
         this.startTime = Date.now();
+        this.endTime = null; // Set on completion so the duration stops growing
         this.results = new Map();
         this.currentIndex = 0;
         this.isActive = true;
+        this.completed = false;
         this.timeSpent = new Map(); // Track time per character
+        this.characterData = {}; // Dictionary entries by character, read by ResultsExporter
         this.characterStartTime = null;
         
         this.init();
     }
     
+    // Fields read by PracticeStorage.saveSession() and ResultsExporter
+    get type() {
+        return this.options.sessionType;
+    }
+    
+    get level() {
+        return this.options.level;
+    }
+    
+    get mode() {
+        return this.options.mode;
+    }
+    
+    set mode(mode) {
+        this.options.mode = mode;
+    }
+    
+    get script() {
+        return this.options.script;
+    }
+    
+    get duration() {
+        return (this.endTime || Date.now()) - this.startTime;
+    }
+    
     init() {
         // Shuffle characters if requested
         if (this.options.shuffleCharacters) {
@@ -31,16 +64,7 @@ class PracticeSession {
         
         // Initialize results for each character
         this.characters.forEach(char => {
-            this.results.set(char, {
-                character: char,
-                status: 'not-practiced',
-                attempts: 0,
-                timeSpent: 0,
-                startTime: null,
-                endTime: null,
-                strokes: [],
-                feedback: []
-            });
+            this.results.set(char, this.createResult(char));
         });
         
         // Set up time tracking
@@ -49,18 +73,59 @@ class PracticeSession {
         console.log(`🎯 Practice session initialized with ${this.characters.length} characters`);
     }
     
+    createResult(char) {
+        return {
+            character: char,
+            status: 'not-practiced',
+            attempts: 0,
+            timeSpent: 0,
+            startTime: null,
+            endTime: null,
+            lastPracticed: null,
+            strokes: [],
+            feedback: [],
+            mode: this.options.mode,
+            revealed: false,
+            // Words also track each character they contain
+            ...(PracticeSession.isWord(char) ? {
+                isWord: true,
+                characterResults: [...char].map(c => ({
+                    character: c,
+                    status: 'not-practiced',
+                    attempts: 0,
+                    lastPracticed: null
+                }))
+            } : {})
+        };
+    }
+    
+    addCharacter(char) {
+        // Append a character or word to the running session
+        if (!char || this.results.has(char)) return false;
+        
+        this.characters.push(char);
+        this.added.push(char);
+        this.results.set(char, this.createResult(char));
+        
+        console.log(`➕ Added ${char} to the practice session`);
+        return true;
+    }
+    
     setupTimeTracking() {
         // Track time spent on each character
-        this.timeTracker = setInterval(() => {
-            if (this.characterStartTime) {
-                const currentChar = this.characters[this.currentIndex];
-                const result = this.results.get(currentChar);
-                if (result) {
-                    const timeSpent = Date.now() - this.characterStartTime;
-                    result.timeSpent = timeSpent;
-                }
-            }
-        }, 1000);
+        this.timeTracker = setInterval(() => this.accrueTime(), 1000);
+    }
+    
+    accrueTime() {
+        // Add time since the last tick, so revisiting a character accumulates
+        if (!this.characterStartTime) return;
+        
+        const now = Date.now();
+        const result = this.results.get(this.characters[this.currentIndex]);
+        if (result) {
+            result.timeSpent += now - this.characterStartTime;
+        }
+        this.characterStartTime = now;
     }
     
     startCharacterPractice(index) {
@@ -84,11 +149,12 @@ class PracticeSession {
     
     endCharacterPractice() {
         if (this.characterStartTime) {
+            this.accrueTime();
+            
             const char = this.characters[this.currentIndex];
             const result = this.results.get(char);
             if (result) {
                 result.endTime = Date.now();
-                result.timeSpent = result.endTime - (result.startTime || this.characterStartTime);
             }
             
             this.characterStartTime = null;
@@ -102,6 +168,7 @@ class PracticeSession {
         const previousStatus = result.status;
         result.status = status;
         result.attempts++;
+        result.lastPracticed = Date.now();
         
         if (feedback) {
             result.feedback.push({
@@ -109,6 +176,23 @@ class PracticeSession {
                 status: status,
                 feedback: feedback
             });
+            
+            // Latest handwriting recognition and shape analysis, kept on the result for reports
+            if (feedback.recognition) {
+                result.recognition = feedback.recognition;
+            }
+            if (feedback.shape) {
+                result.shape = feedback.shape;
+            }
+        }
+        
+        // Characters of a word that weren't assessed on their own follow the word
+        if (result.characterResults) {
+            result.characterResults
+                .filter(charResult => !charResult.lastPracticed)
+                .forEach(charResult => {
+                    charResult.status = status;
+                });
         }
         
         // Automatic progression logic
@@ -120,6 +204,22 @@ class PracticeSession {
         return true;
     }
     
+    setWordCharacterStatus(word, position, status) {
+        const charResult = this.results.get(word)?.characterResults?.[position];
+        if (!charResult) return false;
+        
+        charResult.status = status;
+        charResult.attempts++;
+        charResult.lastPracticed = Date.now();
+        
+        console.log(`✅ ${word}[${position}] ${charResult.character} status updated: ${status}`);
+        return true;
+    }
+    
+    static isWord(entry) {
+        return [...entry].length > 1;
+    }
+    
     nextCharacter() {
         if (this.currentIndex < this.characters.length - 1) {
             return this.startCharacterPractice(this.currentIndex + 1);
@@ -146,15 +246,28 @@ class PracticeSession {
         const result = this.results.get(char);
         
         if (result) {
+            // Keep the full point list ({ x, y, t, pressure }) alongside the summary fields
             result.strokes.push({
-                timestamp: Date.now(),
-                data: strokeData,
+                ...strokeData,
+                timestamp: strokeData.startTime || Date.now(),
+                points: strokeData.points || [],
+                pointerType: strokeData.pointerType || 'unknown',
                 pressure: strokeData.pressure || 0.5,
                 duration: strokeData.duration || 0
             });
         }
     }
     
+    markRemovedStrokes(char, strokeIds) {
+        // Erased, undone and cleared strokes keep their point data, so corrections can be reviewed
+        const result = this.results.get(char);
+        if (result) {
+            result.strokes.forEach(stroke => {
+                stroke.removed = !strokeIds.has(stroke.id);
+            });
+        }
+    }
+    
     getProgress() {
         const total = this.characters.length;
         const practiced = Array.from(this.results.values())
@@ -173,7 +286,7 @@ class PracticeSession {
     }
     
     getSessionStats() {
-        const duration = Date.now() - this.startTime;
+        const duration = this.duration;
         const progress = this.getProgress();
         
         const results = Array.from(this.results.values());
@@ -181,7 +294,11 @@ class PracticeSession {
         const averageTimePerCharacter = progress.practiced > 0 
             ? Math.round(duration / progress.practiced / 1000) : 0;
         
+        const words = results.filter(r => r.isWord);
+        
         return {
+            words: words.length,
+            wordsMastered: words.filter(r => r.status === 'mastered').length,
             duration: Math.round(duration / 1000), // in seconds
             durationMinutes: Math.round(duration / 60000), // in minutes
             ...progress,
@@ -328,6 +445,8 @@ class PracticeSession {
     
     completeSession() {
         this.isActive = false;
+        this.completed = true;
+        this.endTime = this.endTime || Date.now();
         this.endCharacterPractice();
         
         if (this.timeTracker) {
@@ -347,16 +466,53 @@ class PracticeSession {
         };
     }
     
+    restore(saved) {
+        // Continue a stored session: same id, clock, position and results
+        this.id = saved.id || this.id;
+        this.date = saved.date || this.date;
+        this.startTime = Date.now() - (saved.duration || 0);
+        
+        if (saved.mode) {
+            this.options.mode = saved.mode;
+        }
+        
+        // Keep the saved order (e.g. shuffled), including characters added during practice;
+        // characters only in the current list go at the end
+        const savedOrder = saved.characters || [];
+        if (savedOrder.length > 0) {
+            const missing = this.characters.filter(char => !savedOrder.includes(char));
+            savedOrder
+                .filter(char => !this.results.has(char))
+                .forEach(char => this.results.set(char, this.createResult(char)));
+            this.characters = [...savedOrder, ...missing];
+        }
+        this.added = [...(saved.added || [])];
+        
+        // Merge saved results over the fresh defaults so newer fields are present
+        for (const char of this.characters) {
+            const savedResult = saved.results instanceof Map
+                ? saved.results.get(char)
+                : saved.results?.[char];
+            if (savedResult) {
+                this.results.set(char, { ...this.results.get(char), ...savedResult });
+            }
+        }
+        
+        this.currentIndex = Math.min(saved.currentIndex || 0, this.characters.length - 1);
+        console.log(`♻️ Practice session ${this.id} restored`);
+    }
+    
     exportSession() {
         return {
             characters: this.characters,
             options: this.options,
             startTime: this.startTime,
-            duration: Date.now() - this.startTime,
+            duration: this.duration,
             results: Object.fromEntries(this.results),
             stats: this.getSessionStats(),
             analysis: this.getCharacterAnalysis(),
-            completed: !this.isActive
+            recommendations: this.getRecommendations(),
+            completed: this.completed
         };
     }
     
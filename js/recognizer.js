@@ -0,0 +1,143 @@
+// Handwriting Recognition
+// Ranks reference characters by how closely the captured strokes match them, entirely offline
+
+class HandwritingRecognizer {
+    static UNMATCHED_COST = 0.35; // Cost of a written or reference stroke left without a partner
+    static TEMPERATURE = 0.05; // Lower values make confidence sharper
+    static REJECT_COST = 0.2; // A drawing this far from every candidate reads as none of them
+    static MAX_CANDIDATES = 5;
+    static MIN_CONFIDENCE = 0.2; // Below this the drawing doesn't clearly read as anything
+    
+    static templates = new Map();
+    
+    static recognize(strokes, options = {}) {
+        // options: { candidates: [characters to consider], maxResults }
+        const written = this.prepare(StrokeGrader.normalize(strokes.map(stroke => StrokeGrader.toReferenceSpace(stroke))));
+        if (written.length === 0) return [];
+        
+        const pool = options.candidates || Object.keys(CharacterManager.strokeData || {});
+        const scored = pool
+            .map(character => {
+                const template = this.getTemplate(character);
+                return template ? { character, cost: this.matchCost(written, template) } : null;
+            })
+            .filter(Boolean)
+            .sort((a, b) => a.cost - b.cost);
+        
+        // Softmax over candidates plus a "none of these" option, so a scribble isn't confidently anything
+        const weights = scored.map(candidate => Math.exp(-candidate.cost / this.TEMPERATURE));
+        const total = weights.reduce((sum, weight) => sum + weight, 0) + Math.exp(-this.REJECT_COST / this.TEMPERATURE);
+        
+        return scored
+            .slice(0, options.maxResults || this.MAX_CANDIDATES)
+            .map((candidate, i) => ({
+                character: candidate.character,
+                confidence: Math.round((weights[i] / total) * 100) / 100,
+                distance: Math.round(candidate.cost * 1000) / 1000
+            }));
+    }
+    
+    static check(strokes, target, options = {}) {
+        // Whether the drawing reads as the target or as another character
+        const candidates = this.recognize(strokes, options);
+        const top = candidates[0] || null;
+        const known = !!this.getTemplate(target);
+        const variants = CharacterManager.getVariants(target);
+        
+        return {
+            target,
+            recognized: top?.character || null,
+            confidence: top?.confidence || 0,
+            targetConfidence: candidates.find(c => variants.includes(c.character))?.confidence || 0,
+            matchesTarget: known && !!top && top.confidence >= this.MIN_CONFIDENCE && variants.includes(top.character),
+            known,
+            candidates
+        };
+    }
+    
+    static checkWord(strokes, word, cells) {
+        // Each character of a word is read from the strokes in its own cell
+        const groups = StrokeGrader.splitByCell(strokes, cells);
+        const characters = [...word].map((character, position) => ({
+            position,
+            ...this.check(groups[position] || [], character)
+        }));
+        const known = characters.filter(c => c.known);
+        
+        return {
+            target: word,
+            recognized: characters.map(c => c.recognized || '？').join(''),
+            confidence: known.length > 0 ? Math.min(...known.map(c => c.confidence)) : 0,
+            matchesTarget: known.length > 0 && known.every(c => c.matchesTarget),
+            known: known.length > 0,
+            characters
+        };
+    }
+    
+    static describe(recognition) {
+        const percent = (value) => `${Math.round(value * 100)}%`;
+        
+        if (!recognition.recognized || (!recognition.characters && recognition.confidence < this.MIN_CONFIDENCE)) {
+            return `Doesn't clearly read as ${recognition.target} or any other known character`;
+        }
+        if (!recognition.known) {
+            return `Reads most like ${recognition.recognized}; ${recognition.target} has no reference strokes to compare`;
+        }
+        if (recognition.matchesTarget) {
+            return `Reads as ${recognition.target} (${percent(recognition.confidence)} confident)`;
+        }
+        if (recognition.characters) {
+            return `Reads as ${recognition.recognized} rather than ${recognition.target}`;
+        }
+        return `Reads more like ${recognition.recognized} (${percent(recognition.confidence)}) than ${recognition.target} (${percent(recognition.targetConfidence)})`;
+    }
+    
+    static getTemplate(character) {
+        // Normalized, resampled reference strokes, computed once per character
+        if (!this.templates.has(character)) {
+            const medians = CharacterManager.getStrokeMedians(character);
+            this.templates.set(character, medians.length > 0 ? this.prepare(StrokeGrader.normalize(medians)) : null);
+        }
+        return this.templates.get(character);
+    }
+    
+    static prepare(paths) {
+        return paths
+            .filter(path => path.length > 0)
+            .map(path => StrokeGrader.resample(path, StrokeGrader.RESAMPLE_POINTS));
+    }
+    
+    static matchCost(written, reference) {
+        // Shape match that ignores stroke order and direction: cheapest pairs first
+        const pairs = [];
+        written.forEach((userPath, userIndex) => {
+            reference.forEach((refPath, refIndex) => {
+                const cost = Math.min(
+                    StrokeGrader.pathDistance(userPath, refPath),
+                    StrokeGrader.pathDistance([...userPath].reverse(), refPath)
+                );
+                pairs.push({ userIndex, refIndex, cost });
+            });
+        });
+        pairs.sort((a, b) => a.cost - b.cost);
+        
+        const userMatched = new Set();
+        const refMatched = new Set();
+        let total = 0;
+        
+        for (const pair of pairs) {
+            if (pair.cost > this.UNMATCHED_COST) break;
+            if (userMatched.has(pair.userIndex) || refMatched.has(pair.refIndex)) continue;
+            
+            userMatched.add(pair.userIndex);
+            refMatched.add(pair.refIndex);
+            total += pair.cost;
+        }
+        
+        const unmatched = (written.length - userMatched.size) + (reference.length - refMatched.size);
+        return (total + unmatched * this.UNMATCHED_COST) / Math.max(written.length, reference.length);
+    }
+}
+
+// Export for global use
+window.HandwritingRecognizer = HandwritingRecognizer;
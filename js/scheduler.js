@@ -0,0 +1,109 @@
+// Spaced Repetition Scheduling
+// SM-2 review scheduling for individual characters across sessions
+
+class ReviewScheduler {
+    static MIN_EASE = 1.3;
+    static DEFAULT_EASE = 2.5;
+    
+    static createCard(character) {
+        return {
+            character,
+            easeFactor: this.DEFAULT_EASE,
+            interval: 0, // in days
+            repetitions: 0,
+            lapses: 0,
+            dueDate: this.formatDate(new Date()),
+            lastReviewed: null,
+            lastQuality: null,
+            sessionId: null,
+            previous: null
+        };
+    }
+    
+    static qualityForResult(result) {
+        // Map self-assessment onto the SM-2 0-5 quality scale
+        switch (result?.status) {
+            case 'mastered':
+                // Writing from memory on the first try is the strongest signal
+                if (result.mode === 'recall' && result.attempts <= 1) return 5;
+                return 4;
+            case 'needs-work':
+                return 2;
+            default:
+                return null;
+        }
+    }
+    
+    static review(card, quality, options = {}) {
+        const character = card?.character || options.character;
+        let base = card || this.createCard(character);
+        
+        // Re-grading in the same session replaces that session's review
+        if (options.sessionId && base.sessionId === options.sessionId) {
+            base = base.previous || this.createCard(character);
+        }
+        
+        if (quality === null || quality === undefined) {
+            return base;
+        }
+        
+        const next = {
+            ...base,
+            previous: null,
+            lastQuality: quality,
+            lastReviewed: new Date().toISOString(),
+            sessionId: options.sessionId || null
+        };
+        
+        if (quality >= 3) {
+            if (base.repetitions === 0) {
+                next.interval = 1;
+            } else if (base.repetitions === 1) {
+                next.interval = 6;
+            } else {
+                next.interval = Math.round(base.interval * base.easeFactor);
+            }
+            next.repetitions = base.repetitions + 1;
+        } else {
+            // Lapse: start the repetition sequence over
+            next.repetitions = 0;
+            next.interval = 1;
+            next.lapses = (base.lapses || 0) + 1;
+        }
+        
+        const ease = base.easeFactor + (0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02));
+        next.easeFactor = Math.round(Math.max(this.MIN_EASE, ease) * 100) / 100;
+        
+        const due = new Date();
+        due.setDate(due.getDate() + next.interval);
+        next.dueDate = this.formatDate(due);
+        
+        // Keep the state before this session so a re-grade can undo it
+        next.previous = { ...base, previous: null };
+        
+        return next;
+    }
+    
+    static isDue(card, date = new Date()) {
+        return !!card && card.dueDate <= this.formatDate(date);
+    }
+    
+    static getDueQueue(schedule, date = new Date(), limit = 20) {
+        return Object.values(schedule || {})
+            .filter(card => card.lastReviewed && this.isDue(card, date))
+            .sort((a, b) => a.dueDate.localeCompare(b.dueDate) || a.easeFactor - b.easeFactor)
+            .slice(0, limit)
+            .map(card => card.character);
+    }
+    
+    static formatDate(date) {
+        // Local calendar date as YYYY-MM-DD
+        const year = date.getFullYear();
+        const month = String(date.getMonth() + 1).padStart(2, '0');
+        const day = String(date.getDate()).padStart(2, '0');
+        return `${year}-${month}-${day}`;
+    }
+}
+
+// Export for global use
+window.ReviewScheduler = ReviewScheduler;
\ No newline at end of file
@@ -0,0 +1,297 @@
+// Character Shape Analysis
+// Measures how well the ink is formed: size, proportion, centering, component spacing and stroke width
+
+class ShapeAnalyzer {
+    static HINT_THRESHOLD = 70; // Metrics scoring below this come with a hint
+    static SIZE_RANGE = [0.6, 0.85]; // Comfortable share of the cell for the character's longest side
+    static LAYOUTS = { left: 'x', right: 'x', top: 'y', bottom: 'y' };
+    
+    static analyze(strokes, options = {}) {
+        // options: { character } — its reference strokes and components sharpen the comparison
+        const character = options.character || '';
+        const paths = strokes
+            .map(stroke => this.toCellSpace(stroke))
+            .filter(path => path.length > 0);
+        
+        if (paths.length === 0) return null;
+        
+        const medians = character ? CharacterManager.getStrokeMedians(character) : [];
+        const reference = medians.length > 0 ? medians.map(median => this.referenceToCellSpace(median)) : null;
+        
+        const metrics = {
+            size: this.measureSize(paths, reference),
+            proportion: this.measureProportion(paths, reference),
+            centering: this.measureCentering(paths, reference),
+            spacing: this.measureSpacing(paths, reference, character),
+            strokeWidth: this.measureStrokeWidth(strokes)
+        };
+        
+        const measured = Object.values(metrics).filter(Boolean);
+        const score = Math.round(measured.reduce((sum, metric) => sum + metric.score, 0) / measured.length);
+        
+        return {
+            character,
+            score,
+            metrics,
+            hints: measured.filter(metric => metric.hint).map(metric => metric.hint)
+        };
+    }
+    
+    static analyzeWord(strokes, word, cells) {
+        // Each character is judged within its own cell
+        const groups = StrokeGrader.splitByCell(strokes, cells);
+        const characters = [...word]
+            .map((character, position) => {
+                const analysis = this.analyze(groups[position] || [], { character });
+                return analysis ? { position, ...analysis } : null;
+            })
+            .filter(Boolean);
+        
+        if (characters.length === 0) return null;
+        
+        return {
+            character: word,
+            score: Math.round(characters.reduce((sum, analysis) => sum + analysis.score, 0) / characters.length),
+            characters,
+            hints: characters.flatMap(analysis => analysis.hints.map(hint => `${analysis.character}: ${hint}`))
+        };
+    }
+    
+    static measureSize(paths, reference) {
+        const box = this.bounds(paths);
+        const coverage = Math.max(box.width, box.height);
+        
+        // Compact models (口, 小) are allowed to stay compact
+        const refBox = reference ? this.bounds(reference) : null;
+        const refCoverage = refBox ? Math.max(refBox.width, refBox.height) : null;
+        const min = refCoverage ? Math.min(this.SIZE_RANGE[0], refCoverage - 0.1) : this.SIZE_RANGE[0];
+        const max = refCoverage ? Math.max(this.SIZE_RANGE[1], refCoverage + 0.05) : this.SIZE_RANGE[1];
+        
+        let score = 100;
+        let hint = null;
+        if (coverage < min) {
+            score = this.clamp(100 - (min - coverage) * 250);
+            hint = `Write larger: the character fills only ${Math.round(coverage * 100)}% of the cell`;
+        } else if (coverage > max) {
+            score = this.clamp(100 - (coverage - max) * 400);
+            hint = 'Write smaller: leave a margin inside the cell';
+        }
+        
+        return this.metric(score, hint, { coverage: this.round(coverage) });
+    }
+    
+    static measureProportion(paths, reference) {
+        // Width-to-height ratio against the model (a square when there's no model)
+        const box = this.bounds(paths);
+        const refBox = reference ? this.bounds(reference) : null;
+        const aspect = box.width / (box.height || 0.01);
+        const target = refBox ? refBox.width / (refBox.height || 0.01) : 1;
+        const deviation = Math.log(aspect / target);
+        
+        // Single thin strokes (一, 丨) have no meaningful proportion
+        if (Math.min(box.width, box.height) < 0.05 || (refBox && Math.min(refBox.width, refBox.height) < 0.05)) {
+            return null;
+        }
+        
+        const score = this.clamp(100 - Math.abs(deviation) * 150);
+        let hint = null;
+        if (score < this.HINT_THRESHOLD) {
+            hint = deviation > 0
+                ? 'Too wide: narrow the character to match the model'
+                : 'Too tall: widen the character to match the model';
+        }
+        
+        return this.metric(score, hint, { aspect: this.round(aspect), target: this.round(target) });
+    }
+    
+    static measureCentering(paths, reference) {
+        // Center of mass of the ink against the model's (or the cell's center)
+        const center = this.centroid(paths);
+        const target = reference ? this.centroid(reference) : [0.5, 0.5];
+        const dx = center[0] - target[0];
+        const dy = center[1] - target[1];
+        const offset = Math.hypot(dx, dy);
+        
+        const score = this.clamp(100 - offset * 400);
+        let hint = null;
+        if (score < this.HINT_THRESHOLD) {
+            const directions = [];
+            if (Math.abs(dy) > 0.04) directions.push(dy > 0 ? 'up' : 'down');
+            if (Math.abs(dx) > 0.04) directions.push(dx > 0 ? 'left' : 'right');
+            hint = `Shift the character ${directions.join(' and ')}: its weight sits off center`;
+        }
+        
+        return this.metric(score, hint, {
+            offsetX: this.round(dx),
+            offsetY: this.round(dy)
+        });
+    }
+    
+    static measureSpacing(paths, reference, character) {
+        // Gap and share of space between the two halves of a left/right or top/bottom character,
+        // relative to the character's own extent so overall size doesn't count twice
+        const components = character ? CharacterManager.getComponents(character) : [];
+        if (components.length < 2 || paths.length < 2) return null;
+        
+        const axis = this.getLayoutAxis(components, reference);
+        if (!axis) return null;
+        
+        const written = this.splitHalves(paths, axis);
+        const model = reference && reference.length >= 2 ? this.splitHalves(reference, axis) : null;
+        if (!written) return null;
+        
+        const expectedGap = model ? model.gap : 0.05;
+        const gapDiff = written.gap - expectedGap;
+        const shareDiff = model ? written.share - model.share : 0;
+        const score = this.clamp(100 - Math.abs(gapDiff) * 400 - Math.abs(shareDiff) * 200);
+        
+        const first = components[0];
+        const rest = components.slice(1).join('');
+        let hint = null;
+        if (score < this.HINT_THRESHOLD) {
+            if (Math.abs(gapDiff) * 2 >= Math.abs(shareDiff)) {
+                hint = gapDiff < 0
+                    ? `Components are cramped: leave more room between ${first} and ${rest}`
+                    : `Components drift apart: bring ${first} and ${rest} closer`;
+            } else {
+                hint = `${first} takes up too ${shareDiff > 0 ? 'much' : 'little'} of the ${axis === 'x' ? 'width' : 'height'}`;
+            }
+        }
+        
+        return this.metric(score, hint, {
+            layout: axis === 'x' ? 'left-right' : 'top-bottom',
+            gap: this.round(written.gap),
+            share: this.round(written.share),
+            expectedGap: this.round(expectedGap),
+            expectedShare: model ? this.round(model.share) : null
+        });
+    }
+    
+    static measureStrokeWidth(strokes) {
+        // Brush width follows pressure (see DrawingCanvas.updateBrushPressure); mice have none to vary
+        if (strokes.every(stroke => stroke.pointerType === 'mouse')) return null;
+        
+        const widths = strokes.flatMap(stroke => (stroke.points || []).map(point =>
+            (stroke.brushSize || 1) * (0.5 + (point.pressure ?? 0.5))));
+        if (widths.length < 2) return null;
+        
+        const mean = widths.reduce((sum, width) => sum + width, 0) / widths.length;
+        const variance = widths.reduce((sum, width) => sum + (width - mean) ** 2, 0) / widths.length;
+        const variation = mean > 0 ? Math.sqrt(variance) / mean : 0;
+        
+        const score = this.clamp(100 - variation * 250);
+        const hint = score < this.HINT_THRESHOLD
+            ? `Keep an even pressure: stroke width varies by ${Math.round(variation * 100)}%`
+            : null;
+        
+        return this.metric(score, hint, { variation: this.round(variation) });
+    }
+    
+    static getLayoutAxis(components, reference) {
+        // Side radicals say where they sit; otherwise read the layout off the model's strokes
+        for (const part of components) {
+            const position = CharacterManager.getRadicalInfo(part)?.position;
+            if (this.LAYOUTS[position]) return this.LAYOUTS[position];
+            if (position === 'enclose') return null;
+        }
+        
+        if (!reference || reference.length < 2) return null;
+        const x = this.splitHalves(reference, 'x');
+        const y = this.splitHalves(reference, 'y');
+        if (!x || !y) return null;
+        
+        // Only a clean cut counts: the halves must not overlap
+        const best = x.gap >= y.gap ? { axis: 'x', gap: x.gap } : { axis: 'y', gap: y.gap };
+        return best.gap > 0 ? best.axis : null;
+    }
+    
+    static splitHalves(paths, axis) {
+        // Order strokes along the axis and cut where the two groups overlap least
+        const min = axis === 'x' ? 'minX' : 'minY';
+        const max = axis === 'x' ? 'maxX' : 'maxY';
+        const items = paths
+            .map(path => ({ path, box: this.bounds([path]) }))
+            .sort((a, b) => (a.box[min] + a.box[max]) - (b.box[min] + b.box[max]));
+        
+        // Each half needs a fair share of the strokes, so a lone dot isn't a component
+        const smallest = Math.max(1, Math.floor(items.length * 0.2));
+        let best = null;
+        
+        for (let k = smallest; k <= items.length - smallest; k++) {
+            const first = this.bounds(items.slice(0, k).map(item => item.path));
+            const second = this.bounds(items.slice(k).map(item => item.path));
+            const whole = Math.max(first[max], second[max]) - Math.min(first[min], second[min]) || 1;
+            const gap = (second[min] - first[max]) / whole;
+            
+            if (!best || gap > best.gap) {
+                best = { gap, share: (first[max] - first[min]) / whole };
+            }
+        }
+        
+        return best;
+    }
+    
+    static toCellSpace(stroke) {
+        // Canvas pixels to 0-1 cell units (y down)
+        const width = stroke.canvasSize?.width || 600;
+        const height = stroke.canvasSize?.height || 600;
+        return (stroke.points || []).map(p => [p.x / width, p.y / height]);
+    }
+    
+    static referenceToCellSpace(median) {
+        // Make Me a Hanzi box (1024, y up, baseline 900) to 0-1 cell units (y down)
+        return median.map(([x, y]) => [x / 1024, (900 - y) / 1024]);
+    }
+    
+    static bounds(paths) {
+        const points = paths.flat();
+        const xs = points.map(p => p[0]);
+        const ys = points.map(p => p[1]);
+        const minX = Math.min(...xs), maxX = Math.max(...xs);
+        const minY = Math.min(...ys), maxY = Math.max(...ys);
+        
+        return {
+            minX, maxX, minY, maxY,
+            width: maxX - minX,
+            height: maxY - minY,
+            centerX: (minX + maxX) / 2,
+            centerY: (minY + maxY) / 2
+        };
+    }
+    
+    static centroid(paths) {
+        // Weighted by stroke length, so slow (dense) sampling doesn't pull the center
+        let sumX = 0, sumY = 0, total = 0;
+        paths.forEach(path => {
+            if (path.length === 1) {
+                sumX += path[0][0] * 0.001;
+                sumY += path[0][1] * 0.001;
+                total += 0.001;
+                return;
+            }
+            for (let i = 1; i < path.length; i++) {
+                const length = Math.hypot(path[i][0] - path[i - 1][0], path[i][1] - path[i - 1][1]);
+                sumX += ((path[i][0] + path[i - 1][0]) / 2) * length;
+                sumY += ((path[i][1] + path[i - 1][1]) / 2) * length;
+                total += length;
+            }
+        });
+        
+        return total > 0 ? [sumX / total, sumY / total] : [0.5, 0.5];
+    }
+    
+    static metric(score, hint, details) {
+        return { score: Math.round(score), hint, ...details };
+    }
+    
+    static clamp(score) {
+        return Math.max(0, Math.min(100, score));
+    }
+    
+    static round(value) {
+        return Math.round(value * 1000) / 1000;
+    }
+}
+
+// Export for global use
+window.ShapeAnalyzer = ShapeAnalyzer;
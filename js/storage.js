@@ -1,262 +1,627 @@
-// Local Storage Management
-// Handles persistence of practice sessions and user data
+// Practice Storage
+// Persists sessions, per-character records, archived attempts and settings in IndexedDB
 
 class PracticeStorage {
+    static DB_NAME = 'chinese-writing-app';
+    static DB_VERSION = 2;
+    static MAX_BACKUPS = 2; // Pre-migration snapshots kept for restoreBackup()
+    
+    static DEFAULT_SETTINGS = {
+        brushSize: 8,
+        brushColor: '#000000',
+        showPressureIndicator: true,
+        autoSave: true,
+        soundEffects: false,
+        gridType: 'tian',
+        traceMode: false,
+        practiceMode: 'copy',
+        shuffleCharacters: false,
+        autoProgress: false,
+        script: 'simp',
+        exportFormat: 'fleeting'
+    };
+    
     constructor() {
-        this.storageKey = 'chinese-writing-app';
-        this.version = '1.0';
-        this.init();
+        // Keys of the old localStorage layout, read once by migrateFromLocalStorage()
+        this.legacyKey = 'chinese-writing-app';
+        this.legacyDictionaryKey = 'chinese-writing-app-dictionary';
+        this.legacyAttemptsKey = 'chinese-writing-app-attempts';
+        
+        this.maxAttemptsPerCharacter = 30;
+        this.version = StorageMigrations.CURRENT_VERSION;
+        this.available = false;
+        this.db = null;
+        this.initError = null; // Why init() failed; backups stay reachable while the database is open
+        
+        // Read on every render, so kept in memory and written through
+        this.settings = { ...PracticeStorage.DEFAULT_SETTINGS };
     }
     
-    init() {
+    async init() {
         try {
-            // Check if localStorage is available
-            if (typeof Storage === 'undefined') {
-                console.warn('⚠️ LocalStorage not available, data will not persist');
-                this.available = false;
-                return;
+            if (typeof indexedDB === 'undefined') {
+                console.warn('⚠️ IndexedDB not available, data will not persist');
+                return false;
             }
             
+            this.db = await this.openDatabase();
             this.available = true;
             
-            // Initialize storage structure if needed
-            if (!localStorage.getItem(this.storageKey)) {
-                this.initializeStorage();
-            }
-            
-            // Check for version updates
-            this.checkVersion();
+            await this.migrateFromLocalStorage();
+            await this.runMigrations();
+            this.settings = { ...PracticeStorage.DEFAULT_SETTINGS, ...(await this.getMeta('settings')) };
             
             console.log('💾 Storage initialized successfully');
+            return true;
         } catch (error) {
             console.error('Failed to initialize storage:', error);
             this.available = false;
+            this.initError = error;
+            return false;
         }
     }
     
-    initializeStorage() {
-        const initialData = {
-            version: this.version,
-            sessions: [],
-            settings: {
-                brushSize: 8,
-                brushColor: '#000000',
-                showPressureIndicator: true,
-                autoSave: true,
-                soundEffects: false
-            },
-            statistics: {
-                totalSessions: 0,
-                totalCharacters: 0,
-                totalPracticeTime: 0,
-                charactersmastered: 0,
-                lastSession: null
-            }
-        };
-        
-        localStorage.setItem(this.storageKey, JSON.stringify(initialData));
-        console.log('🏗️ Storage initialized with default data');
+    openDatabase() {
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(PracticeStorage.DB_NAME, PracticeStorage.DB_VERSION);
+            
+            request.onupgradeneeded = (event) => {
+                const db = request.result;
+                
+                if (event.oldVersion < 1) {
+                    this.createStores(db);
+                }
+                if (event.oldVersion < 2) {
+                    db.createObjectStore('backups', { keyPath: 'id' });
+                }
+            };
+            
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
     }
     
-    checkVersion() {
-        const data = this.getData();
-        if (data.version !== this.version) {
-            console.log(`🔄 Migrating storage from ${data.version} to ${this.version}`);
-            this.migrateData(data);
-        }
+    createStores(db) {
+        // Layout of DB version 1
+        const sessions = db.createObjectStore('sessions', { keyPath: 'id' });
+        sessions.createIndex('date', 'date');
+        sessions.createIndex('savedAt', 'savedAt');
+        sessions.createIndex('characters', 'characters', { multiEntry: true });
+        
+        // One record per character: { character, schedule, ...MasteryLedger entry }
+        const characters = db.createObjectStore('characters', { keyPath: 'character' });
+        characters.createIndex('dueDate', 'schedule.dueDate');
+        
+        const attempts = db.createObjectStore('attempts', { keyPath: 'id' });
+        attempts.createIndex('character', 'character');
+        attempts.createIndex('date', 'date');
+        attempts.createIndex('sessionId', 'sessionId');
+        
+        // Key-value records: settings, userDictionary, schemaVersion, migration markers
+        db.createObjectStore('settings', { keyPath: 'key' });
     }
     
-    migrateData(oldData) {
-        // Handle version migration if needed
-        const newData = {
-            ...oldData,
-            version: this.version
-        };
+    async migrateFromLocalStorage() {
+        // One-time copy of the single localStorage blob used before IndexedDB
+        if (await this.getMeta('migratedFromLocalStorage')) return;
         
-        // Add any new fields that might be missing
-        if (!newData.settings) {
-            newData.settings = {
-                brushSize: 8,
-                brushColor: '#000000',
-                showPressureIndicator: true,
-                autoSave: true,
-                soundEffects: false
-            };
+        let legacy = null;
+        let attempts = {};
+        let dictionary = null;
+        try {
+            if (typeof localStorage !== 'undefined') {
+                legacy = JSON.parse(localStorage.getItem(this.legacyKey) || 'null');
+                attempts = JSON.parse(localStorage.getItem(this.legacyAttemptsKey) || '{}');
+                dictionary = JSON.parse(localStorage.getItem(this.legacyDictionaryKey) || 'null');
+            }
+        } catch (error) {
+            // Leave the old data in place rather than mark it migrated
+            console.warn('⚠️ Could not read localStorage data to migrate:', error);
+            return;
         }
         
-        if (!newData.statistics) {
-            newData.statistics = {
-                totalSessions: 0,
-                totalCharacters: 0,
-                totalPracticeTime: 0,
-                charactersmastered: 0,
-                lastSession: null
-            };
+        const migratedAt = new Date().toISOString();
+        if (!legacy && !dictionary && Object.keys(attempts).length === 0) {
+            // A fresh install starts at the current version
+            await this.transaction(['settings'], 'readwrite', (stores) => {
+                stores.settings.put({ key: 'migratedFromLocalStorage', value: migratedAt });
+                stores.settings.put({ key: 'schemaVersion', value: this.version });
+            });
+            return;
         }
         
-        localStorage.setItem(this.storageKey, JSON.stringify(newData));
-        console.log('✅ Data migration completed');
+        // The blob is a version 1.0 snapshot and goes through the same steps as any upgrade
+        const snapshot = { ...legacy, version: legacy?.version || '1.0', attempts, userDictionary: dictionary };
+        await this.saveBackup(snapshot, 'localStorage');
+        
+        const migrated = StorageMigrations.migrate(snapshot, this.version);
+        migrated.settings.migratedFromLocalStorage = migratedAt;
+        await this.writeSnapshot(migrated);
+        
+        // The copy is committed, so the localStorage quota can be freed
+        localStorage.removeItem(this.legacyKey);
+        localStorage.removeItem(this.legacyAttemptsKey);
+        localStorage.removeItem(this.legacyDictionaryKey);
+        console.log(`📦 Migrated ${migrated.sessions.length} sessions from localStorage`);
     }
     
-    getData() {
-        if (!this.available) return null;
+    async runMigrations() {
+        // Databases written before versioning hold the first IndexedDB layout
+        const version = (await this.getMeta('schemaVersion')) || '2.0';
+        if (!StorageMigrations.needsMigration(version)) return;
+        
+        const snapshot = { ...(await this.readSnapshot()), version };
+        const backupId = await this.saveBackup(snapshot, 'upgrade');
         
         try {
-            const data = localStorage.getItem(this.storageKey);
-            return data ? JSON.parse(data) : null;
+            // Steps run on a copy and the result is written in one transaction,
+            // so a failure at any point leaves the stored data at the old version
+            await this.writeSnapshot(StorageMigrations.migrate(snapshot, this.version));
         } catch (error) {
-            console.error('Failed to get data from storage:', error);
-            return null;
+            throw new Error(`Storage migration from ${version} rolled back (backup ${backupId}): ${error.message}`);
         }
     }
     
-    saveData(data) {
-        if (!this.available) return false;
+    async readSnapshot() {
+        // Every record of every store, in the shape migration steps work on
+        const snapshot = {};
+        await this.transaction(['sessions', 'characters', 'attempts', 'settings'], 'readonly', (stores) => {
+            ['sessions', 'characters', 'attempts'].forEach(name => {
+                stores[name].getAll().onsuccess = (event) => {
+                    snapshot[name] = event.target.result;
+                };
+            });
+            stores.settings.getAll().onsuccess = (event) => {
+                snapshot.settings = Object.fromEntries(event.target.result
+                    .filter(record => record.key !== 'schemaVersion')
+                    .map(record => [record.key, record.value]));
+            };
+        });
+        return snapshot;
+    }
+    
+    writeSnapshot(snapshot) {
+        // Replaces the contents of every store and stamps the snapshot's version
+        return this.transaction(['sessions', 'characters', 'attempts', 'settings'], 'readwrite', (stores) => {
+            Object.values(stores).forEach(store => store.clear());
+            snapshot.sessions.forEach(session => stores.sessions.put(session));
+            snapshot.characters.forEach(record => stores.characters.put(record));
+            snapshot.attempts.forEach(attempt => stores.attempts.put(attempt));
+            Object.entries(snapshot.settings).forEach(([key, value]) => stores.settings.put({ key, value }));
+            stores.settings.put({ key: 'schemaVersion', value: snapshot.version });
+        });
+    }
+    
+    async saveBackup(snapshot, reason) {
+        // Taken before every migration; older backups beyond MAX_BACKUPS are dropped
+        const backup = {
+            id: `backup_${Date.now()}`,
+            version: snapshot.version,
+            reason,
+            createdAt: new Date().toISOString(),
+            snapshot
+        };
+        
+        await this.transaction(['backups'], 'readwrite', (stores) => {
+            stores.backups.put(backup);
+            stores.backups.getAllKeys().onsuccess = (event) => {
+                event.target.result
+                    .sort()
+                    .slice(0, -PracticeStorage.MAX_BACKUPS)
+                    .forEach(id => stores.backups.delete(id));
+            };
+        });
+        
+        console.log(`🗄️ Saved ${reason} backup of storage version ${snapshot.version}`);
+        return backup.id;
+    }
+    
+    async getBackups() {
+        // Newest first, without the snapshots themselves; also after a failed migration
+        if (!this.db) return [];
+        
+        const backups = await this.request(this.store('backups').getAll());
+        return backups
+            .map(({ snapshot, ...info }) => info)
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    }
+    
+    async restoreBackup(backupId) {
+        // Replaces the current data with a backup, brought up to the current version;
+        // the way back from a migration that was rolled back
+        if (!this.db) return false;
+        
+        const backup = await this.request(this.store('backups').get(backupId));
+        if (!backup) return false;
         
         try {
-            localStorage.setItem(this.storageKey, JSON.stringify(data));
+            const migrated = StorageMigrations.migrate(backup.snapshot, this.version);
+            migrated.settings.migratedFromLocalStorage ??= new Date().toISOString();
+            await this.writeSnapshot(migrated);
+            this.settings = { ...PracticeStorage.DEFAULT_SETTINGS, ...(await this.getMeta('settings')) };
+            this.available = true;
+            this.initError = null;
+            console.log(`♻️ Restored storage backup ${backupId}`);
             return true;
         } catch (error) {
-            console.error('Failed to save data to storage:', error);
+            console.error('Failed to restore backup:', error);
             return false;
         }
     }
     
-    saveSession(session) {
+    async saveSession(session) {
         if (!this.available) return false;
         
+        // Convert session results Map to object for storage
+        const sessionData = {
+            id: session.id || this.generateSessionId(),
+            date: session.date || new Date().toISOString().split('T')[0],
+            startTime: session.startTime,
+            duration: session.duration,
+            type: session.type || 'character-practice',
+            level: session.level || 'hsk-3',
+            mode: session.mode || 'copy',
+            script: session.script || 'simp',
+            results: Object.fromEntries(session.results || new Map()),
+            characters: session.characters || [],
+            added: session.added || [],
+            currentIndex: session.currentIndex || 0,
+            completed: session.completed || false,
+            // Summary computed by PracticeSession at save time
+            stats: session.getSessionStats?.() || session.stats || null,
+            analysis: session.getCharacterAnalysis?.() || session.analysis || null,
+            recommendations: session.getRecommendations?.() || session.recommendations || [],
+            // Dictionary fields the exports use, so past sessions export like the current one
+            characterData: this.pickCharacterData(session.characterData),
+            savedAt: Date.now()
+        };
+        
         try {
-            const data = this.getData();
-            if (!data) return false;
-            
-            // Convert session results Map to object for storage
-            const sessionData = {
-                id: session.id || this.generateSessionId(),
-                date: session.date || new Date().toISOString().split('T')[0],
-                startTime: session.startTime,
-                duration: session.duration,
-                type: session.type || 'character-practice',
-                level: session.level || 'hsk-3',
-                results: Object.fromEntries(session.results || new Map()),
-                characters: session.characters || [],
-                completed: session.completed || false,
-                savedAt: Date.now()
-            };
-            
-            // Find existing session or add new one
-            const existingIndex = data.sessions.findIndex(s => s.id === sessionData.id);
-            if (existingIndex >= 0) {
-                data.sessions[existingIndex] = sessionData;
-            } else {
-                data.sessions.push(sessionData);
-            }
-            
-            // Keep only last 50 sessions
-            if (data.sessions.length > 50) {
-                data.sessions = data.sessions.slice(-50);
-            }
-            
-            // Update statistics
-            this.updateStatistics(data, sessionData);
-            
-            return this.saveData(data);
+            await this.transaction(['sessions'], 'readwrite', (stores) => {
+                stores.sessions.put(sessionData);
+            });
+            return true;
         } catch (error) {
             console.error('Failed to save session:', error);
             return false;
         }
     }
     
-    loadSession(sessionId) {
-        const data = this.getData();
-        if (!data) return null;
+    pickCharacterData(characterData) {
+        return Object.fromEntries(Object.entries(characterData || {}).map(([char, data]) => [char, {
+            pinyin: data.pinyin,
+            meaning: data.meaning,
+            strokes: data.strokes,
+            hskLevel: data.hskLevel,
+            simplified: data.simplified,
+            traditional: data.traditional,
+            examples: (data.examples || []).slice(0, 3)
+        }]));
+    }
+    
+    async loadSession(sessionId) {
+        if (!this.available) return null;
         
-        const session = data.sessions.find(s => s.id === sessionId);
-        if (!session) return null;
+        const session = await this.request(this.store('sessions').get(sessionId));
+        return session ? this.toSession(session) : null;
+    }
+    
+    async findResumableSession(characters, date, options = {}) {
+        // Latest unfinished session for the same character list and session date
+        if (!this.available) return null;
         
-        // Convert results object back to Map
-        session.results = new Map(Object.entries(session.results));
+        // Order-insensitive, so shuffled sessions still match; characters added during practice don't count.
+        // The due-for-review list shrinks as characters are graded, so those sessions match on date alone
+        const key = [...characters].sort().join('|');
+        const requested = (s) => (s.characters || []).filter(char => !(s.added || []).includes(char));
+        const matches = (s) => options.dueReview
+            ? s.type === 'review'
+            : requested(s).sort().join('|') === key;
+        const candidates = (await this.request(this.store('sessions').index('date').getAll(date)))
+            .filter(s => !s.completed && matches(s))
+            .sort((a, b) => b.savedAt - a.savedAt);
+        
+        return candidates.length > 0 ? this.toSession(candidates[0]) : null;
+    }
+    
+    async getRecentSessions(limit = 10) {
+        if (!this.available) return [];
+        
+        const sessions = await this.collect(this.store('sessions').index('savedAt'), null, 'prev', limit);
+        return sessions.map(session => this.toSession(session));
+    }
+    
+    async getSessionsByDate(from, to = from) {
+        // Sessions whose date (YYYY-MM-DD) falls within the range, oldest first
+        if (!this.available) return [];
         
-        return session;
+        const sessions = await this.request(this.store('sessions').index('date').getAll(IDBKeyRange.bound(from, to)));
+        return sessions.map(session => this.toSession(session));
     }
     
-    getRecentSessions(limit = 10) {
-        const data = this.getData();
-        if (!data) return [];
+    async getSessionsWithCharacter(character) {
+        // Sessions that practiced either script's form (锁/鎖), newest first
+        if (!this.available) return [];
+        
+        const index = this.store('sessions').index('characters');
+        const found = await Promise.all(this.getVariants(character).map(variant => this.request(index.getAll(variant))));
         
-        return data.sessions
+        const seen = new Set();
+        return found.flat()
+            .filter(session => !seen.has(session.id) && seen.add(session.id))
             .sort((a, b) => b.savedAt - a.savedAt)
-            .slice(0, limit)
-            .map(session => ({
-                ...session,
-                results: new Map(Object.entries(session.results))
-            }));
+            .map(session => this.toSession(session));
+    }
+    
+    async deleteSession(sessionId) {
+        if (!this.available) return false;
+        
+        await this.transaction(['sessions'], 'readwrite', (stores) => {
+            stores.sessions.delete(sessionId);
+        });
+        return true;
+    }
+    
+    toSession(record) {
+        // Convert results object back to Map
+        return {
+            ...record,
+            results: new Map(Object.entries(record.results || {}))
+        };
+    }
+    
+    async getStatistics() {
+        if (!this.available) return null;
+        
+        const [ledger, sessions] = await Promise.all([
+            this.getLedger(),
+            this.request(this.store('sessions').getAll())
+        ]);
+        return MasteryLedger.summarize(ledger, sessions);
+    }
+    
+    async getLedger() {
+        // Every character's mastery ledger entry
+        if (!this.available) return [];
+        
+        const records = await this.request(this.store('characters').getAll());
+        return records.filter(record => MasteryLedger.isEntry(record));
+    }
+    
+    async getLedgerEntry(character) {
+        // Practice under either script's form (锁/鎖) shares one entry
+        if (!this.available) return null;
+        
+        const store = this.store('characters');
+        for (const variant of this.getVariants(character)) {
+            const record = await this.request(store.get(variant));
+            if (MasteryLedger.isEntry(record)) return record;
+        }
+        return null;
+    }
+    
+    async markSeen(characters) {
+        // Starts a ledger entry for characters met for the first time
+        if (!this.available) return false;
+        
+        await this.transaction(['characters'], 'readwrite', (stores) => {
+            characters.forEach(character => {
+                this.updateCharacterRecord(stores.characters, character, (record) =>
+                    MasteryLedger.isEntry(record) ? null : MasteryLedger.record(record || { character }, null));
+            });
+        });
+        return true;
+    }
+    
+    async recordStatus(character, status, options = {}) {
+        // options: { sessionId, date, key }
+        if (!this.available) return false;
+        
+        await this.transaction(['characters'], 'readwrite', (stores) => {
+            this.updateCharacterRecord(stores.characters, character, (record) =>
+                MasteryLedger.record(record || { character }, status, options));
+        });
+        return true;
     }
     
-    deleteSession(sessionId) {
-        const data = this.getData();
-        if (!data) return false;
+    updateCharacterRecord(store, character, update) {
+        // Updates the record kept under any script form of the character, or creates one under this form;
+        // update() returns the new record, or null to leave it as is
+        const variants = this.getVariants(character);
+        const found = [];
+        let pending = variants.length;
         
-        data.sessions = data.sessions.filter(s => s.id !== sessionId);
-        return this.saveData(data);
+        variants.forEach((variant, i) => {
+            store.get(variant).onsuccess = (event) => {
+                found[i] = event.target.result;
+                if (--pending > 0) return;
+                
+                const next = update(found.find(Boolean) || null);
+                if (next) store.put(next);
+            };
+        });
     }
     
-    updateStatistics(data, sessionData) {
-        const stats = data.statistics;
+    async getSchedule() {
+        // Spaced repetition cards keyed by character
+        if (!this.available) return {};
         
-        // Update totals
-        stats.totalSessions++;
-        stats.totalCharacters += sessionData.characters?.length || 0;
-        stats.totalPracticeTime += sessionData.duration || 0;
-        stats.lastSession = sessionData.date;
+        const records = await this.request(this.store('characters').getAll());
+        return Object.fromEntries(records
+            .filter(record => record.schedule)
+            .map(record => [record.character, record.schedule]));
+    }
+    
+    async getScheduleCard(character) {
+        // A card kept under the other script's form (锁/鎖) is the same character
+        if (!this.available) return null;
         
-        // Count mastered characters
-        if (sessionData.results) {
-            const mastered = Object.values(sessionData.results)
-                .filter(result => result.status === 'mastered').length;
-            stats.charactersmastered += mastered;
+        const store = this.store('characters');
+        for (const variant of this.getVariants(character)) {
+            const record = await this.request(store.get(variant));
+            if (record?.schedule) return record.schedule;
         }
+        return null;
+    }
+    
+    async saveScheduleCard(card) {
+        if (!this.available || !card?.character) return false;
+        
+        // Other fields of the character's record are kept
+        await this.transaction(['characters'], 'readwrite', (stores) => {
+            stores.characters.get(card.character).onsuccess = (event) => {
+                stores.characters.put({ ...event.target.result, character: card.character, schedule: card });
+            };
+        });
+        return true;
+    }
+    
+    async getDueCharacters(date = new Date(), limit = 20) {
+        if (!this.available) return [];
+        
+        const range = IDBKeyRange.upperBound(ReviewScheduler.formatDate(date));
+        const records = await this.request(this.store('characters').index('dueDate').getAll(range));
+        const schedule = Object.fromEntries(records.map(record => [record.character, record.schedule]));
+        return ReviewScheduler.getDueQueue(schedule, date, limit);
+    }
+    
+    async getUserDictionary() {
+        if (!this.available) return null;
         
-        console.log('📊 Statistics updated');
+        return (await this.getMeta('userDictionary')) || null;
     }
     
-    getStatistics() {
-        const data = this.getData();
-        return data?.statistics || null;
+    async saveUserDictionary(dictionary) {
+        if (!this.available) return false;
+        
+        try {
+            await this.putMeta('userDictionary', dictionary);
+            return true;
+        } catch (error) {
+            console.error('Failed to save user dictionary to storage:', error);
+            return false;
+        }
     }
     
-    saveSettings(settings) {
+    async clearUserDictionary() {
         if (!this.available) return false;
         
-        const data = this.getData();
-        if (!data) return false;
+        await this.transaction(['settings'], 'readwrite', (stores) => {
+            stores.settings.delete('userDictionary');
+        });
+        return true;
+    }
+    
+    async getAttempts(character) {
+        // Attempts at either script's form (锁/鎖), oldest first
+        if (!this.available) return [];
         
-        data.settings = { ...data.settings, ...settings };
-        return this.saveData(data);
+        const index = this.store('attempts').index('character');
+        const found = await Promise.all(this.getVariants(character).map(variant => this.request(index.getAll(variant))));
+        return found.flat().sort((a, b) => a.date.localeCompare(b.date));
+    }
+    
+    async getAttemptsByDate(from, to) {
+        // Attempts at any character between two ISO timestamps, oldest first
+        if (!this.available) return [];
+        
+        return this.request(this.store('attempts').index('date').getAll(IDBKeyRange.bound(from, to)));
+    }
+    
+    async saveAttempt(attempt, retry = true) {
+        if (!this.available || !attempt?.character) return false;
+        
+        try {
+            await this.transaction(['attempts'], 'readwrite', (stores) => {
+                stores.attempts.index('character').getAll(attempt.character).onsuccess = (event) => {
+                    const attempts = event.target.result.sort((a, b) => a.date.localeCompare(b.date));
+                    
+                    // Re-grading the same drawing in the same session updates its record
+                    const existing = attempts.find(a => a.sessionId === attempt.sessionId && a.key === attempt.key);
+                    stores.attempts.put(existing ? { ...attempt, id: existing.id } : attempt);
+                    
+                    // Keep the most recent attempts per character
+                    const total = attempts.length + (existing ? 0 : 1);
+                    attempts.slice(0, Math.max(0, total - this.maxAttemptsPerCharacter))
+                        .forEach(old => stores.attempts.delete(old.id));
+                };
+            });
+            return true;
+        } catch (error) {
+            if (retry && error?.name === 'QuotaExceededError') {
+                // Storage full: drop the older half of the archive and retry once
+                console.warn('⚠️ Attempt archive full, dropping older attempts:', error);
+                await this.pruneAttempts();
+                return this.saveAttempt(attempt, false);
+            }
+            console.error('Failed to save attempt to storage:', error);
+            return false;
+        }
+    }
+    
+    async pruneAttempts() {
+        const total = await this.request(this.store('attempts').count());
+        let remaining = Math.floor(total / 2);
+        
+        await this.transaction(['attempts'], 'readwrite', (stores) => {
+            stores.attempts.index('date').openCursor().onsuccess = (event) => {
+                const cursor = event.target.result;
+                if (!cursor || remaining-- <= 0) return;
+                cursor.delete();
+                cursor.continue();
+            };
+        });
+    }
+    
+    async deleteAttempt(attemptId) {
+        if (!this.available) return false;
+        
+        await this.transaction(['attempts'], 'readwrite', (stores) => {
+            stores.attempts.delete(attemptId);
+        });
+        return true;
+    }
+    
+    async saveSettings(settings) {
+        if (!this.available) return false;
+        
+        this.settings = { ...this.settings, ...settings };
+        try {
+            await this.putMeta('settings', this.settings);
+            return true;
+        } catch (error) {
+            console.error('Failed to save settings:', error);
+            return false;
+        }
     }
     
     getSettings() {
-        const data = this.getData();
-        return data?.settings || {
-            brushSize: 8,
-            brushColor: '#000000',
-            showPressureIndicator: true,
-            autoSave: true,
-            soundEffects: false
-        };
+        // Loaded by init(), so reads don't wait on the database
+        return { ...this.settings };
     }
     
-    exportData() {
-        const data = this.getData();
-        if (!data) return null;
+    async exportData() {
+        if (!this.available) return null;
+        
+        const [sessions, schedule, ledger] = await Promise.all([
+            this.request(this.store('sessions').getAll()),
+            this.getSchedule(),
+            this.getLedger()
+        ]);
         
         return {
-            ...data,
+            version: this.version,
+            sessions,
+            settings: this.getSettings(),
+            statistics: MasteryLedger.summarize(ledger, sessions),
+            schedule,
+            ledger: ledger.map(({ schedule, ...entry }) => entry),
             exportedAt: new Date().toISOString(),
             appVersion: this.version
         };
     }
     
-    importData(importedData) {
+    async importData(importedData) {
         if (!this.available) return false;
         
         try {
@@ -264,32 +629,71 @@ class PracticeStorage {
             if (!importedData.version || !importedData.sessions) {
                 throw new Error('Invalid data format');
             }
+            if (StorageMigrations.isNewer(importedData.version)) {
+                throw new Error(`Storage version ${importedData.version} is newer than this app supports (${this.version})`);
+            }
             
-            // Merge with existing data
-            const currentData = this.getData() || { sessions: [], settings: {}, statistics: {} };
+            // Files from older versions go through the same steps as stored data
+            const data = StorageMigrations.migrate(this.fromExport(importedData), this.version);
             
-            const mergedData = {
-                version: this.version,
-                sessions: [...currentData.sessions, ...importedData.sessions],
-                settings: { ...currentData.settings, ...importedData.settings },
-                statistics: this.mergeStatistics(currentData.statistics, importedData.statistics)
-            };
+            // Merge with existing data
+            const current = await this.request(this.store('sessions').getAll());
+            const known = new Set(current.map(session => this.getSessionKey(session)));
+            const sessions = this.removeDuplicateSessions(data.sessions)
+                .filter(session => session.id && !known.has(this.getSessionKey(session)));
             
-            // Remove duplicates and sort
-            mergedData.sessions = this.removeDuplicateSessions(mergedData.sessions);
+            // Records for characters without one here; existing history wins
+            await this.transaction(['sessions', 'characters'], 'readwrite', (stores) => {
+                sessions.forEach(session => stores.sessions.put(session));
+                data.characters.forEach(record => {
+                    stores.characters.get(record.character).onsuccess = (event) => {
+                        const existing = event.target.result;
+                        const ledger = MasteryLedger.isEntry(existing) ? existing : record;
+                        const schedule = existing?.schedule || record.schedule;
+                        stores.characters.put({ ...record, ...existing, ...ledger, character: record.character, ...(schedule && { schedule }) });
+                    };
+                });
+            });
             
-            return this.saveData(mergedData);
+            await this.saveSettings(data.settings.settings || {});
+            return true;
         } catch (error) {
             console.error('Failed to import data:', error);
             return false;
         }
     }
     
+    fromExport(data) {
+        // Version 1.0 files have the localStorage blob's shape, which is already a snapshot;
+        // later ones list schedule cards and ledger entries separately from the sessions
+        if (data.version === '1.0') return data;
+        
+        const characters = new Map();
+        Object.values(data.schedule || {})
+            .filter(card => card?.character)
+            .forEach(card => characters.set(card.character, { character: card.character, schedule: card }));
+        (data.ledger || [])
+            .filter(entry => MasteryLedger.isEntry(entry) && entry.character)
+            .forEach(entry => characters.set(entry.character, { ...characters.get(entry.character), ...entry }));
+        
+        return {
+            version: data.version,
+            sessions: data.sessions,
+            characters: [...characters.values()],
+            attempts: [],
+            settings: { settings: data.settings || {} }
+        };
+    }
+    
+    getSessionKey(session) {
+        return `${session.date}-${session.startTime}`;
+    }
+    
     removeDuplicateSessions(sessions) {
         const seen = new Set();
         return sessions
             .filter(session => {
-                const key = `${session.date}-${session.startTime}`;
+                const key = this.getSessionKey(session);
                 if (seen.has(key)) return false;
                 seen.add(key);
                 return true;
@@ -297,25 +701,18 @@ class PracticeStorage {
             .sort((a, b) => b.savedAt - a.savedAt);
     }
     
-    mergeStatistics(current, imported) {
-        return {
-            totalSessions: (current.totalSessions || 0) + (imported.totalSessions || 0),
-            totalCharacters: (current.totalCharacters || 0) + (imported.totalCharacters || 0),
-            totalPracticeTime: (current.totalPracticeTime || 0) + (imported.totalPracticeTime || 0),
-            charactersmastered: (current.charactersmastered || 0) + (imported.charactersmastered || 0),
-            lastSession: Math.max(
-                new Date(current.lastSession || 0).getTime(),
-                new Date(imported.lastSession || 0).getTime()
-            )
-        };
-    }
-    
-    clearData() {
+    async clearData() {
         if (!this.available) return false;
         
         try {
-            localStorage.removeItem(this.storageKey);
-            this.initializeStorage();
+            // The migration marker stays, so cleared data isn't re-imported from localStorage
+            await this.transaction(['sessions', 'characters', 'attempts', 'settings'], 'readwrite', (stores) => {
+                stores.sessions.clear();
+                stores.characters.clear();
+                stores.attempts.clear();
+                ['settings', 'userDictionary'].forEach(key => stores.settings.delete(key));
+            });
+            this.settings = { ...PracticeStorage.DEFAULT_SETTINGS };
             console.log('🗑️ Storage cleared and reinitialized');
             return true;
         } catch (error) {
@@ -328,28 +725,97 @@ class PracticeStorage {
         return `session_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
     }
     
-    getStorageSize() {
-        if (!this.available) return 0;
-        
-        try {
-            const data = localStorage.getItem(this.storageKey);
-            return data ? data.length : 0;
-        } catch (error) {
-            return 0;
+    async getStorageInfo() {
+        if (!this.available) {
+            return { available: false, version: this.version, sessionsCount: 0, attemptsCount: 0, storageSize: 0, lastUpdated: null };
         }
-    }
-    
-    getStorageInfo() {
-        const data = this.getData();
+        
+        const [sessionsCount, attemptsCount, statistics, estimate] = await Promise.all([
+            this.request(this.store('sessions').count()),
+            this.request(this.store('attempts').count()),
+            this.getStatistics(),
+            navigator.storage?.estimate?.() || null
+        ]);
+        
         return {
-            available: this.available,
-            version: data?.version || 'unknown',
-            sessionsCount: data?.sessions?.length || 0,
-            storageSize: this.getStorageSize(),
-            lastUpdated: data?.statistics?.lastSession || null
+            available: true,
+            version: this.version,
+            sessionsCount,
+            attemptsCount,
+            storageSize: estimate?.usage || 0,
+            lastUpdated: statistics?.lastSession || null
         };
     }
+    
+    getVariants(character) {
+        return typeof CharacterManager !== 'undefined'
+            ? CharacterManager.getVariants(character)
+            : [character];
+    }
+    
+    async getMeta(key) {
+        const record = await this.request(this.store('settings').get(key));
+        return record?.value;
+    }
+    
+    putMeta(key, value) {
+        return this.transaction(['settings'], 'readwrite', (stores) => {
+            stores.settings.put({ key, value });
+        });
+    }
+    
+    store(name) {
+        // Read-only access to one store; writes go through transaction()
+        return this.db.transaction(name).objectStore(name);
+    }
+    
+    collect(source, query, direction, limit) {
+        // Walk a cursor in the given direction until limit records are read
+        return new Promise((resolve, reject) => {
+            const results = [];
+            const request = source.openCursor(query, direction);
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor || results.length >= limit) {
+                    resolve(results);
+                    return;
+                }
+                results.push(cursor.value);
+                cursor.continue();
+            };
+            request.onerror = () => reject(request.error);
+        });
+    }
+    
+    transaction(storeNames, mode, callback) {
+        return new Promise((resolve, reject) => {
+            const tx = this.db.transaction(storeNames, mode);
+            const stores = {};
+            storeNames.forEach(name => {
+                stores[name] = tx.objectStore(name);
+            });
+            
+            try {
+                callback(stores);
+            } catch (error) {
+                // A request that throws (e.g. a record without its key) must not let earlier ones commit
+                tx.abort();
+                reject(error);
+                return;
+            }
+            tx.oncomplete = () => resolve();
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    }
+    
+    request(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
 }
 
 // Export for global use
-window.PracticeStorage = PracticeStorage;
\ No newline at end of file
+window.PracticeStorage = PracticeStorage;
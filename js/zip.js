@@ -0,0 +1,92 @@
+// Zip Writer
+// Builds uncompressed zip archives in the browser, so export packages work offline
+
+class ZipWriter {
+    static CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+            c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+        }
+        return c >>> 0;
+    });
+    
+    static create(files, date = new Date()) {
+        // files: [{ name, data }], data as a string or Uint8Array; stored as-is since PNGs are already compressed
+        const encoder = new TextEncoder();
+        const { time, day } = this.toDOSDateTime(date);
+        const parts = [];
+        const directory = [];
+        let offset = 0;
+        
+        files.forEach(file => {
+            const name = encoder.encode(file.name);
+            const data = typeof file.data === 'string' ? encoder.encode(file.data) : file.data;
+            const crc = this.crc32(data);
+            
+            const local = new DataView(new ArrayBuffer(30));
+            local.setUint32(0, 0x04034b50, true);
+            local.setUint16(4, 20, true); // Version needed to extract
+            local.setUint16(6, 0x0800, true); // UTF-8 file names
+            local.setUint16(8, 0, true); // Stored, no compression
+            local.setUint16(10, time, true);
+            local.setUint16(12, day, true);
+            local.setUint32(14, crc, true);
+            local.setUint32(18, data.length, true);
+            local.setUint32(22, data.length, true);
+            local.setUint16(26, name.length, true);
+            parts.push(local, name, data);
+            
+            const entry = new DataView(new ArrayBuffer(46));
+            entry.setUint32(0, 0x02014b50, true);
+            entry.setUint16(4, 20, true); // Version made by
+            entry.setUint16(6, 20, true);
+            entry.setUint16(8, 0x0800, true);
+            entry.setUint16(10, 0, true);
+            entry.setUint16(12, time, true);
+            entry.setUint16(14, day, true);
+            entry.setUint32(16, crc, true);
+            entry.setUint32(20, data.length, true);
+            entry.setUint32(24, data.length, true);
+            entry.setUint16(28, name.length, true);
+            entry.setUint32(42, offset, true);
+            directory.push(entry, name);
+            
+            offset += local.byteLength + name.length + data.length;
+        });
+        
+        const directorySize = directory.reduce((sum, part) => sum + part.byteLength, 0);
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054b50, true);
+        end.setUint16(8, files.length, true);
+        end.setUint16(10, files.length, true);
+        end.setUint32(12, directorySize, true);
+        end.setUint32(16, offset, true);
+        
+        return new Blob([...parts, ...directory, end], { type: 'application/zip' });
+    }
+    
+    static crc32(bytes) {
+        let crc = 0xFFFFFFFF;
+        for (let i = 0; i < bytes.length; i++) {
+            crc = this.CRC_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    }
+    
+    static toDOSDateTime(date) {
+        // Local time at two-second precision, years from 1980
+        return {
+            time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+            day: ((Math.max(date.getFullYear(), 1980) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+        };
+    }
+    
+    static dataURLToBytes(dataURL) {
+        // "data:image/png;base64,..." from canvas exports
+        const binary = atob(dataURL.split(',')[1] || '');
+        return Uint8Array.from(binary, char => char.charCodeAt(0));
+    }
+}
+
+// Export for global use
+window.ZipWriter = ZipWriter;
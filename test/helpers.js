@@ -0,0 +1,37 @@
+// Test helpers
+// Loads the browser scripts into Node, where `window` is the global object
+
+const fs = require('fs');
+const path = require('path');
+const { IDBFactory } = require('fake-indexeddb');
+
+globalThis.window = globalThis;
+require('fake-indexeddb/auto');
+
+// The scripts narrate progress on the browser console; in a test file that text shares stdout
+// with the runner's own reports, and Node 20's runner can fail to read them back
+console.log = () => {};
+
+function load(...names) {
+    // Scripts register themselves on window, like the <script> tags in index.html
+    names.forEach(name => require(path.join(__dirname, '..', 'js', `${name}.js`)));
+}
+
+function fixture(name) {
+    return JSON.parse(fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8'));
+}
+
+function resetBrowserStorage(items = {}) {
+    // An empty in-memory IndexedDB, and localStorage holding the given keys
+    globalThis.indexedDB = new IDBFactory();
+    
+    const values = new Map(Object.entries(items).map(([key, value]) => [key, JSON.stringify(value)]));
+    globalThis.localStorage = {
+        getItem: (key) => values.has(key) ? values.get(key) : null,
+        setItem: (key, value) => values.set(key, String(value)),
+        removeItem: (key) => values.delete(key)
+    };
+    return values;
+}
+
+module.exports = { load, fixture, resetBrowserStorage };
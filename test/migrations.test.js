@@ -0,0 +1,243 @@
+// Storage migration tests
+// Each past storage version is a fixture snapshot, migrated up to the current version:
+// by StorageMigrations alone, and by PracticeStorage on an in-memory IndexedDB
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { load, fixture, resetBrowserStorage } = require('./helpers');
+
+load('scheduler', 'ledger', 'migrations', 'storage');
+
+const FIXTURES = ['storage-1.0.json', 'storage-2.0.json', 'storage-2.1.json'];
+
+async function startWith(name) {
+    // Storage as an older release left it: the localStorage blob for 1.0, IndexedDB stores after that
+    const { attempts, userDictionary, ...blob } = fixture(name);
+    if (blob.version === '1.0') {
+        resetBrowserStorage({
+            'chinese-writing-app': blob,
+            'chinese-writing-app-attempts': attempts,
+            'chinese-writing-app-dictionary': userDictionary
+        });
+    } else {
+        resetBrowserStorage();
+        const storage = new PracticeStorage();
+        storage.db = await storage.openDatabase();
+        await storage.writeSnapshot(fixture(name));
+        storage.db.close();
+    }
+    return new PracticeStorage();
+}
+
+async function readStores(storage) {
+    // Everything in the database, in a stable order
+    const snapshot = await storage.readSnapshot();
+    ['sessions', 'characters', 'attempts'].forEach(name => {
+        snapshot[name].sort((a, b) => (a.id || a.character).localeCompare(b.id || b.character));
+    });
+    return { ...snapshot, version: await storage.getMeta('schemaVersion') };
+}
+
+function sorted(snapshot) {
+    return {
+        ...snapshot,
+        sessions: [...snapshot.sessions].sort((a, b) => a.id.localeCompare(b.id)),
+        characters: [...snapshot.characters].sort((a, b) => a.character.localeCompare(b.character)),
+        attempts: [...snapshot.attempts].sort((a, b) => a.id.localeCompare(b.id))
+    };
+}
+
+function failStep(from) {
+    // Makes one step throw until the returned function is called
+    const step = StorageMigrations.STEPS.find(s => s.from === from);
+    const migrate = step.migrate;
+    step.migrate = () => {
+        throw new Error('simulated failure');
+    };
+    return () => {
+        step.migrate = migrate;
+    };
+}
+
+for (const name of FIXTURES) {
+    test(`${name} migrates to the current version`, () => {
+        const snapshot = fixture(name);
+        const migrated = StorageMigrations.migrate(snapshot);
+        
+        assert.equal(migrated.version, StorageMigrations.CURRENT_VERSION);
+        assert.equal(migrated.sessions.length, 2);
+        assert.equal(migrated.attempts.length, 1);
+        assert.equal(migrated.settings.settings.brushSize, 10);
+        assert.equal(migrated.settings.userDictionary.entries, 2);
+        assert.equal(migrated.settings.statistics, undefined);
+        
+        // The snapshot itself is left alone
+        assert.deepEqual(snapshot, fixture(name));
+    });
+    
+    test(`${name} keeps its statistics through the ledger`, () => {
+        const snapshot = fixture(name);
+        const statistics = snapshot.statistics || snapshot.settings.statistics;
+        const migrated = StorageMigrations.migrate(snapshot);
+        const summary = MasteryLedger.summarize(migrated.characters.filter(record => MasteryLedger.isEntry(record)), migrated.sessions);
+        
+        assert.equal(summary.totalSessions, statistics.totalSessions);
+        assert.equal(summary.totalCharacters, statistics.totalCharacters);
+        assert.equal(summary.totalPracticeTime, statistics.totalPracticeTime);
+        assert.equal(summary.charactersMastered, statistics.charactersMastered ?? statistics.charactersmastered);
+        assert.equal(summary.totalAttempts, 8);
+    });
+    
+    test(`${name} is migrated in the database when storage starts`, async () => {
+        const storage = await startWith(name);
+        assert.equal(await storage.init(), true);
+        
+        const stored = await readStores(storage);
+        const { migratedFromLocalStorage, ...settings } = stored.settings;
+        const expected = sorted(StorageMigrations.migrate(fixture(name)));
+        delete expected.settings.migratedFromLocalStorage;
+        
+        assert.ok(migratedFromLocalStorage);
+        assert.deepEqual({ ...stored, settings }, expected);
+        assert.equal(storage.getSettings().brushSize, 10);
+        
+        // One backup of the data as it was, taken before migrating
+        const backups = await storage.getBackups();
+        assert.equal(backups.length, 1);
+        assert.equal(backups[0].version, fixture(name).version);
+        assert.equal(backups[0].reason, name === 'storage-1.0.json' ? 'localStorage' : 'upgrade');
+        assert.equal(localStorage.getItem('chinese-writing-app'), null);
+    });
+}
+
+test('2.0 renames charactersmastered and keeps the other statistics', () => {
+    for (const name of ['storage-1.0.json', 'storage-2.0.json']) {
+        const migrated = StorageMigrations.migrate(fixture(name), '2.1');
+        
+        assert.deepEqual(migrated.settings.statistics, {
+            totalSessions: 2,
+            totalCharacters: 3,
+            totalPracticeTime: 1500000,
+            charactersMastered: 3,
+            lastSession: '2024-04-26'
+        });
+    }
+});
+
+test('2.2 builds ledger entries from session results', () => {
+    const migrated = StorageMigrations.migrate(fixture('storage-2.1.json'));
+    const records = Object.fromEntries(migrated.characters.map(record => [record.character, record]));
+    
+    assert.deepEqual(Object.keys(records).sort(), ['你', '好', '我', '是'].sort());
+    assert.deepEqual(records['好'].history.map(item => item.status), ['needs-work', 'mastered']);
+    assert.equal(records['好'].attempts, 4);
+    assert.equal(records['好'].schedule.dueDate, '2024-04-27');
+    assert.equal(records['我'].level, 'new');
+    assert.equal(records['你'].level, 'mastered');
+});
+
+test('a version without a migration path is rejected', () => {
+    assert.throws(() => StorageMigrations.migrate({ ...fixture('storage-2.1.json'), version: '0.9' }),
+        /No migration from storage version 0\.9/);
+});
+
+test('a failing step leaves the snapshot as it was', () => {
+    const restore = failStep('2.1');
+    try {
+        const snapshot = fixture('storage-2.0.json');
+        assert.throws(() => StorageMigrations.migrate(snapshot), /Migration 2\.1 → 2\.2 failed: simulated failure/);
+        assert.deepEqual(snapshot, fixture('storage-2.0.json'));
+    } finally {
+        restore();
+    }
+});
+
+test('a failing step rolls the database back and its backup restores it', async () => {
+    const storage = await startWith('storage-2.0.json');
+    const restore = failStep('2.1');
+    try {
+        assert.equal(await storage.init(), false);
+    } finally {
+        restore();
+    }
+    assert.match(storage.initError.message, /from 2\.0 rolled back \(backup backup_\d+\)/);
+    assert.equal(storage.available, false);
+    
+    // Nothing was written, and the backup holds the data as it was before migrating
+    assert.deepEqual(await readStores(storage), sorted(fixture('storage-2.0.json')));
+    const backups = await storage.getBackups();
+    assert.equal(backups.length, 1);
+    assert.equal(backups[0].version, '2.0');
+    
+    // With the step fixed, restoring the backup migrates the same data
+    assert.equal(await storage.restoreBackup(backups[0].id), true);
+    assert.equal(storage.available, true);
+    assert.deepEqual(await readStores(storage), sorted(StorageMigrations.migrate(fixture('storage-2.0.json'))));
+});
+
+test('a snapshot that fails to write leaves every store as it was', async () => {
+    const storage = await startWith('storage-2.1.json');
+    await storage.init();
+    const before = await readStores(storage);
+    
+    // A session without its key makes put() throw after the stores were cleared
+    const snapshot = await storage.readSnapshot();
+    snapshot.version = before.version;
+    snapshot.sessions.push({ date: '2024-04-27' });
+    await assert.rejects(storage.writeSnapshot(snapshot), { name: 'DataError' });
+    
+    assert.deepEqual(await readStores(storage), before);
+});
+
+test('an up-to-date database is not migrated or backed up again', async () => {
+    await (await startWith('storage-2.1.json')).init();
+    
+    const storage = new PracticeStorage();
+    assert.equal(await storage.init(), true);
+    assert.equal((await storage.getBackups()).length, 1);
+});
+
+test('an imported 1.0 file is migrated before it is merged', async () => {
+    resetBrowserStorage();
+    const storage = new PracticeStorage();
+    await storage.init();
+    
+    assert.equal(await storage.importData(fixture('storage-1.0.json')), true);
+    const ledger = Object.fromEntries((await storage.getLedger()).map(entry => [entry.character, entry]));
+    
+    assert.equal((await storage.getRecentSessions()).length, 2);
+    assert.deepEqual(Object.keys(ledger).sort(), ['你', '好', '我', '是'].sort());
+    assert.deepEqual(ledger['好'].history.map(item => item.status), ['needs-work', 'mastered']);
+    assert.equal(ledger['好'].schedule.dueDate, '2024-04-27');
+    assert.equal(storage.getSettings().brushSize, 10);
+    
+    // Importing the same file again adds nothing
+    assert.equal(await storage.importData(fixture('storage-1.0.json')), true);
+    assert.equal((await storage.getRecentSessions()).length, 2);
+    assert.equal((await storage.getLedgerEntry('好')).attempts, 4);
+});
+
+test('an export imports into another database unchanged', async () => {
+    const source = await startWith('storage-2.1.json');
+    await source.init();
+    const exported = await source.exportData();
+    
+    resetBrowserStorage();
+    const storage = new PracticeStorage();
+    await storage.init();
+    assert.equal(await storage.importData(exported), true);
+    
+    assert.deepEqual((await storage.getRecentSessions()).map(session => session.id),
+        (await source.getRecentSessions()).map(session => session.id));
+    assert.deepEqual(await storage.getLedger(), await source.getLedger());
+});
+
+test('an export from a newer version is rejected', async () => {
+    resetBrowserStorage();
+    const storage = new PracticeStorage();
+    await storage.init();
+    
+    const imported = { ...fixture('storage-1.0.json'), version: '9.0' };
+    assert.equal(await storage.importData(imported), false);
+    assert.equal((await storage.getRecentSessions()).length, 0);
+});